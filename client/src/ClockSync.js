@@ -0,0 +1,85 @@
+// ============================================
+// CLOCK SYNC - NTP-STYLE SERVER TIME ESTIMATE
+// ============================================
+
+const MAX_SAMPLES = 16;   // Most recent pings kept
+const BEST_SAMPLES = 4;   // Lowest-RTT samples the offset is taken from (least queueing delay)
+
+export class ClockSync {
+  constructor() {
+    this.samples = []; // { rtt, offset }, oldest first
+
+    // Current estimates (ms)
+    this.offset = 0;       // Add to Date.now() to get server time
+    this.offsetError = 0;  // Worst case error of the offset (half the best RTT)
+    this.rtt = 0;          // Median round trip
+    this.jitter = 0;       // Mean change in RTT between consecutive pings
+  }
+
+  // Forget everything (new connection, maybe a different server)
+  reset() {
+    this.samples.length = 0;
+    this.offset = 0;
+    this.offsetError = 0;
+    this.rtt = 0;
+    this.jitter = 0;
+  }
+
+  // t0: client sent PING, t1: server received it, t2: server sent PONG, t3: client received it
+  addSample(t0, t1, t2, t3) {
+    // Round trip minus the time the server held the ping
+    const rtt = Math.max(0, (t3 - t0) - (t2 - t1));
+    // Assumes both legs took equally long - off by at most rtt / 2
+    const offset = ((t1 - t0) + (t2 - t3)) / 2;
+
+    this.samples.push({ rtt, offset });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+
+    this.update();
+  }
+
+  update() {
+    const samples = this.samples;
+
+    // Jitter over arrival order, RTT as the median (one spike doesn't move it)
+    let jitter = 0;
+    for (let i = 1; i < samples.length; i++) {
+      jitter += Math.abs(samples[i].rtt - samples[i - 1].rtt);
+    }
+    this.jitter = samples.length > 1 ? jitter / (samples.length - 1) : 0;
+
+    const byRtt = [...samples].sort((a, b) => a.rtt - b.rtt);
+    this.rtt = byRtt[Math.floor(byRtt.length / 2)].rtt;
+
+    // Fast round trips have the least asymmetric delay, so the most accurate offsets
+    const best = byRtt.slice(0, BEST_SAMPLES);
+    const offsets = best.map(s => s.offset).sort((a, b) => a - b);
+    const median = offsets[Math.floor(offsets.length / 2)];
+
+    // Outliers: a sample can only be off by half its RTT, so further from the median than that is bogus
+    let sum = 0;
+    let count = 0;
+    for (const sample of best) {
+      if (Math.abs(sample.offset - median) <= sample.rtt / 2) {
+        sum += sample.offset;
+        count++;
+      }
+    }
+
+    this.offset = sum / count; // The median sample always passes
+    this.offsetError = best[0].rtt / 2;
+  }
+
+  // Stats for the HUD / debugging
+  getStats() {
+    return {
+      offset: this.offset,
+      offsetError: this.offsetError,
+      rtt: this.rtt,
+      jitter: this.jitter,
+      samples: this.samples.length
+    };
+  }
+}
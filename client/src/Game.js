@@ -3,39 +3,18 @@
 // ============================================
 
 import * as BABYLON from '@babylonjs/core';
+import { DeathReason, EntityType, FlagState, GAME_CONSTANTS, MatchPhase, Stance, ZoneState, getEyeHeight, getShotDirections } from '@shooter/shared';
 import { NetworkManager } from './NetworkManager.js';
 import { InputManager } from './InputManager.js';
 import { PlayerController } from './PlayerController.js';
 import { WorldRenderer } from './WorldRenderer.js';
 
-// Game constants (must match server)
-const GAME_CONSTANTS = {
-  TICK_RATE: 20,
-  MOVE_SPEED: 5.0,
-  SPRINT_MULTIPLIER: 1.6,
-  SNEAK_MULTIPLIER: 0.5,
-  JUMP_FORCE: 8.0,
-  GRAVITY: 20.0,
-  PLAYER_HEIGHT: 1.8,
-  PLAYER_RADIUS: 0.4,
-  HEAD_HEIGHT: 0.3,
-  MAX_HEALTH: 100,
-  RESPAWN_TIME: 2000,
-  INTERPOLATION_BUFFER: 100,
-  WEAPONS: [
-    { name: 'Pistol', damage: 25, fireRate: 400, range: 100 },
-    { name: 'SMG', damage: 15, fireRate: 100, range: 50 },
-    { name: 'Rifle', damage: 35, fireRate: 150, range: 150 },
-    { name: 'Shotgun', damage: 80, fireRate: 800, range: 20 }
-  ],
-  MAP_SIZE: 50,
-  OBSTACLE_COUNT: 40
-};
-
 export class Game {
-  constructor(canvas, wsUrl) {
+  // createTransport is optional - a WebSocket to wsUrl by default (see transport.js)
+  constructor(canvas, wsUrl, createTransport = undefined) {
     this.canvas = canvas;
     this.wsUrl = wsUrl;
+    this.createTransport = createTransport;
 
     // Babylon.js
     this.engine = null;
@@ -50,10 +29,14 @@ export class Game {
 
     // Game state
     this.playerId = 0;
+    this.spreadSeed = 0; // From WELCOME - our shots spread exactly like the server's
     this.mapSeed = 0;
     this.tickRate = 20;
+    this.respawnDelay = GAME_CONSTANTS.RESPAWN_TIME;
     this.isConnected = false;
     this.isDead = false;
+    this.localTeam = 0;
+    this.phase = MatchPhase.WARMUP;
 
     // Fixed timestep accumulator for physics
     this.physicsAccumulator = 0;
@@ -61,6 +44,13 @@ export class Game {
 
     // Players
     this.players = new Map(); // id -> { mesh, state, interpolation }
+    this.playerNames = new Map(); // id -> name (from PLAYER_JOINED)
+
+    // Game mode entities (flags, ...) from the latest snapshot
+    this.entities = [];
+
+    // Called with the server's reason when it refuses our join
+    this.onRejected = null;
 
     // HUD elements
     this.hudElements = {
@@ -68,7 +58,19 @@ export class Game {
       weaponName: document.getElementById('weaponName'),
       weaponSlots: document.querySelectorAll('.weapon-slot'),
       scoreList: document.getElementById('scoreList'),
+      modeName: document.getElementById('modeName'),
+      roomRules: document.getElementById('roomRules'),
+      objective: document.getElementById('objective'),
+      objectiveText: document.getElementById('objectiveText'),
+      objectiveBar: document.getElementById('objectiveBar'),
+      objectiveFill: document.getElementById('objectiveFill'),
+      phaseBanner: document.getElementById('phaseBanner'),
+      results: document.getElementById('results'),
+      resultsTitle: document.getElementById('resultsTitle'),
+      resultsList: document.getElementById('resultsList'),
+      resultsTimer: document.getElementById('resultsTimer'),
       deathScreen: document.getElementById('death-screen'),
+      deathCause: document.getElementById('deathCause'),
       respawnTimer: document.getElementById('respawnTimer')
     };
   }
@@ -120,11 +122,11 @@ export class Game {
       this.camera,
       this.scene,
       GAME_CONSTANTS,
-      this.worldRenderer.obstacles
+      this.worldRenderer.obstacleGrid
     );
 
     // Create network manager
-    this.network = new NetworkManager(this.wsUrl);
+    this.network = new NetworkManager(this.wsUrl, this.createTransport);
     this.setupNetworkHandlers();
 
     // Start render loop
@@ -144,33 +146,89 @@ export class Game {
   setupNetworkHandlers() {
     this.network.onWelcome = (data) => {
       this.playerId = data.playerId;
+      this.spreadSeed = data.spreadSeed;
       this.tickRate = data.tickRate;
-      this.mapSeed = data.mapSeed;
       this.isConnected = true;
 
-      // Regenerate world with correct seed
-      this.worldRenderer.generateWorld(data.mapSeed);
-      this.playerController.obstacles = this.worldRenderer.obstacles;
+      // The server follows up with everyone in the room - after a reconnect we may have missed joins and leaves
+      this.clearRemotePlayers();
+      this.applyRoomSettings(data);
 
       // Update physics timestep to match server
       this.fixedDeltaTime = 1 / this.tickRate;
       this.playerController.fixedDeltaTime = this.fixedDeltaTime;
 
-      console.log(`[Game] Joined as player ${this.playerId}, TickRate: ${this.tickRate}`);
+      console.log(`[Game] Joined room ${data.roomId} as player ${this.playerId}, TickRate: ${this.tickRate}`);
+    };
+
+    // Room rotated to the next mode/map - rebuild the world in place
+    this.network.onMapChange = (data) => {
+      this.applyRoomSettings(data);
+      this.input.setLockedWeapon(null);
+      this.hudElements.results.style.display = 'none';
+
+      console.log(`[Game] Map changed: ${data.modeName}, seed ${data.settings.mapSeed}`);
     };
 
     this.network.onSnapshot = (snapshot) => {
       this.processSnapshot(snapshot);
     };
 
+    this.network.onGameOver = (results) => {
+      this.showResults(results);
+    };
+
+    this.network.onPlayerJoined = (player) => {
+      this.playerNames.set(player.id, player.name);
+      if (player.id !== this.playerId) {
+        console.log(`[Game] ${player.name} joined`);
+      }
+    };
+
+    this.network.onPlayerLeft = ({ id }) => {
+      console.log(`[Game] ${this.getPlayerName(id)} left`);
+      this.playerNames.delete(id);
+
+      const playerData = this.players.get(id);
+      if (playerData) {
+        playerData.mesh.dispose();
+        this.players.delete(id);
+      }
+    };
+
+    this.network.onPlayerDeath = (death) => {
+      if (death.victimId === this.playerId) {
+        this.isDead = true;
+        this.onDeath(death);
+      }
+    };
+
+    this.network.onPlayerRespawn = (respawn) => {
+      if (respawn.playerId === this.playerId) {
+        this.isDead = false;
+        this.onRespawn(respawn);
+      }
+    };
+
+    this.network.onReject = (rejection) => {
+      document.exitPointerLock();
+      if (this.onRejected) this.onRejected(rejection.message);
+    };
+
+    // Freeze until the server has us back (same player if it kept our session)
+    this.network.onReconnecting = (attempt) => {
+      this.isConnected = false;
+      console.log(`[Game] Connection lost, reconnecting (attempt ${attempt})`);
+    };
+
     this.network.onDisconnect = () => {
       this.isConnected = false;
       console.log('[Game] Disconnected');
     };
   }
 
-  connect(playerName) {
-    this.network.connect(playerName);
+  connect(playerName, roomId = '') {
+    this.network.connect(playerName, roomId);
   }
 
   lockPointer() {
@@ -212,7 +270,7 @@ export class Game {
         weapon: inputState.weapon,
         yaw: this.camera.rotation.y,
         pitch: this.camera.rotation.x,
-        timestamp: Date.now()
+        timestamp: this.network.getServerTime()
       };
 
       // Update local player (client-side prediction)
@@ -226,7 +284,7 @@ export class Game {
 
         // Handle shooting effects
         if (inputState.shoot) {
-          this.handleLocalShoot(inputState.weapon);
+          this.handleLocalShoot(fullInput);
         }
       }
 
@@ -241,13 +299,16 @@ export class Game {
       const pos = this.playerController.getInterpolatedPosition(alpha);
 
       this.camera.position.x = pos.x;
-      this.camera.position.y = pos.y + GAME_CONSTANTS.PLAYER_HEIGHT - 0.2;
+      this.camera.position.y = pos.y + getEyeHeight(this.playerController.stance);
       this.camera.position.z = pos.z;
     }
 
     // Interpolate other players
     this.interpolatePlayers();
 
+    // Keep carried entities attached to their carriers
+    this.updateCarriedEntities();
+
     // Update HUD
     this.updateHUD(inputState.weapon);
   }
@@ -290,17 +351,16 @@ export class Game {
       }
     }
 
-    // Remove disconnected players
-    const activeIds = new Set(snapshot.players.map(p => p.id));
-    for (const [id, player] of this.players) {
-      if (!activeIds.has(id)) {
-        player.mesh.dispose();
-        this.players.delete(id);
-      }
-    }
+    // Update game mode entities
+    this.entities = snapshot.entities;
+    this.worldRenderer.updateEntities(snapshot.entities);
+    this.updateObjectiveHUD();
 
     // Update scoreboard
-    this.updateScoreboard(snapshot.players);
+    this.updateScoreboard(snapshot.players, snapshot.teamScores);
+
+    // Update match phase
+    this.updatePhaseHUD(snapshot.phase, snapshot.phaseTimeLeft);
   }
 
   showHitMarker(headshot) {
@@ -325,14 +385,13 @@ export class Game {
     setTimeout(() => overlay.remove(), 200);
   }
 
-  handleLocalShoot(weaponIndex) {
-    const now = Date.now();
-    const weapon = GAME_CONSTANTS.WEAPONS[weaponIndex] || GAME_CONSTANTS.WEAPONS[0];
+  // Effects for the input that fired - tracers follow the server's spread for that input's seq
+  handleLocalShoot(input) {
+    const weaponIndex = GAME_CONSTANTS.WEAPONS[input.weapon] ? input.weapon : 0;
+    const weapon = GAME_CONSTANTS.WEAPONS[weaponIndex];
 
-    // Check fire rate
-    if (!this.lastShootTime) this.lastShootTime = 0;
-    if (now - this.lastShootTime < weapon.fireRate) return;
-    this.lastShootTime = now;
+    // Check fire rate (by seq - the server fires on exactly the same inputs)
+    if (!this.playerController.canShoot(input, weaponIndex)) return;
 
     // Muzzle flash position
     const flashPos = this.camera.position.clone();
@@ -349,18 +408,10 @@ export class Game {
       { x: forward.x, y: forward.y, z: forward.z }
     );
 
-    // Create Tracers (multiple for shotgun)
-    const bulletCount = weapon.bulletCount || 1;
-    for (let i = 0; i < bulletCount; i++) {
-      // Calculate spread
-      const spread = weapon.spread || 0;
-      const dir = forward.clone();
-      if (spread > 0) {
-        dir.x += (Math.random() - 0.5) * spread;
-        dir.y += (Math.random() - 0.5) * spread;
-        dir.z += (Math.random() - 0.5) * spread;
-        dir.normalize();
-      }
+    // Create Tracers (multiple for shotgun), in the directions the server will use
+    const directions = getShotDirections(input.yaw, input.pitch, weaponIndex, this.spreadSeed, input.seq);
+    for (const direction of directions) {
+      const dir = new BABYLON.Vector3(direction.x, direction.y, direction.z);
 
       // Raycast for visual tracer end
       const ray = new BABYLON.Ray(this.camera.position, dir, weapon.range);
@@ -390,25 +441,26 @@ export class Game {
     // Use proper server reconciliation with input replay
     const serverPosition = { x: serverState.x, y: serverState.y, z: serverState.z };
     const serverVelocity = { x: serverState.vx, y: serverState.vy, z: serverState.vz };
-    const serverGrounded = serverState.y <= 0.01; // Approximate grounded state
 
     this.playerController.reconcile(
       serverPosition,
       serverVelocity,
-      serverGrounded,
+      serverState.grounded,
       lastProcessedInput
     );
   }
 
   updateLocalPlayerState(state) {
-    // Update death state
+    // Deaths and respawns arrive as events - this only catches joining an Elimination round as a spectator
     if (state.isDead && !this.isDead) {
-      this.onDeath();
-    } else if (!state.isDead && this.isDead) {
-      this.onRespawn(state);
+      this.isDead = true;
+      this.onDeath(null);
     }
 
-    this.isDead = state.isDead;
+    this.localTeam = state.team;
+
+    // Game modes like Gun Game pick our weapon for us
+    this.input.setLockedWeapon(state.weaponLocked ? state.weapon : null);
 
     // Update health
     const healthPercent = (state.health / GAME_CONSTANTS.MAX_HEALTH) * 100;
@@ -419,21 +471,46 @@ export class Game {
     let playerData = this.players.get(state.id);
 
     if (!playerData) {
-      // Create new player mesh
-      const mesh = this.worldRenderer.createPlayerMesh(state.id);
+      // Create new player mesh where they are (not sliding in from the origin)
+      const mesh = this.worldRenderer.createPlayerMesh(state.id, state.team);
+      mesh.position.set(state.x, state.y, state.z);
       playerData = {
         mesh,
         states: [],
-        lastState: state
+        lastState: state,
+        hidden: false
       };
       this.players.set(state.id, playerData);
     }
 
-    // Add to interpolation buffer
-    playerData.states.push({
-      state,
-      timestamp
-    });
+    // Teams are reshuffled when the room rotates to another mode
+    if (playerData.mesh.metadata.team !== state.team) {
+      this.worldRenderer.setPlayerTeam(playerData.mesh, state.id, state.team);
+    }
+
+    // Out of our sight - the server stops sending their position
+    if (state.hidden) {
+      playerData.hidden = true;
+      playerData.states.length = 0;
+      playerData.lastState = state;
+      playerData.mesh.isVisible = false;
+      return;
+    }
+
+    // Back in sight - appear where they are instead of sliding from where we lost them
+    if (playerData.hidden) {
+      playerData.hidden = false;
+      playerData.states.length = 0;
+      playerData.mesh.position.set(state.x, state.y, state.z);
+    }
+
+    // Add to interpolation buffer (low-relevance players repeat their last state between updates)
+    if (!state.skipped) {
+      playerData.states.push({
+        state,
+        timestamp
+      });
+    }
 
     // Keep only last 1 second of states
     while (playerData.states.length > 0 &&
@@ -446,6 +523,11 @@ export class Game {
     // Update visibility based on death
     playerData.mesh.isVisible = !state.isDead;
 
+    // Crouching players are squashed to crouch height (their hitboxes are lower too)
+    playerData.mesh.scaling.y = state.stance === Stance.CROUCHING
+      ? GAME_CONSTANTS.CROUCH_HEIGHT / GAME_CONSTANTS.PLAYER_HEIGHT
+      : 1;
+
     // Handle remote shooting
     if (state.isShooting && !state.isDead) {
       this.handleRemoteShoot(playerData, state.weapon);
@@ -479,7 +561,7 @@ export class Game {
     );
 
     const start = mesh.position.clone();
-    start.y += GAME_CONSTANTS.PLAYER_HEIGHT * 0.7; // Shoulder height
+    start.y += GAME_CONSTANTS.PLAYER_HEIGHT * 0.7 * mesh.scaling.y; // Shoulder height
     start.addInPlace(forward.scale(0.5));
     start.addInPlace(right.scale(0.2));
 
@@ -614,26 +696,118 @@ export class Game {
     return from + diff * t;
   }
 
+  updateCarriedEntities() {
+    for (const entity of this.entities) {
+      const mesh = this.worldRenderer.getEntityMesh(entity.id);
+      if (!mesh) continue;
+
+      // A flag we carry ourselves would block the camera
+      const carriedBySelf = entity.carrierId === this.playerId;
+      mesh.setEnabled(!carriedBySelf);
+      if (!entity.carrierId || carriedBySelf) continue;
+
+      // Hidden carriers have a stale position - the entity's own position is live
+      const carrier = this.players.get(entity.carrierId);
+      if (!carrier || carrier.hidden) continue;
+
+      mesh.position.x = carrier.mesh.position.x;
+      mesh.position.y = carrier.mesh.position.y + GAME_CONSTANTS.PLAYER_HEIGHT * 0.5;
+      mesh.position.z = carrier.mesh.position.z;
+    }
+  }
+
+  updateObjectiveHUD() {
+    let text = '';
+    let progress = -1; // -1 hides the progress bar
+    let progressTeam = 0;
+    let warning = false;
+
+    for (const entity of this.entities) {
+      if (entity.type === EntityType.FLAG) {
+        if (entity.state === FlagState.CARRIED && entity.carrierId === this.playerId) {
+          text = 'You have the enemy flag! Bring it back to your base';
+          break;
+        }
+        if (entity.state === FlagState.CARRIED && entity.team === this.localTeam) {
+          text = 'Your flag has been taken!';
+        } else if (entity.state === FlagState.DROPPED && entity.team === this.localTeam && !text) {
+          text = 'Your flag is dropped - touch it to return it';
+        }
+      } else if (entity.type === EntityType.ZONE) {
+        progress = entity.progress;
+        progressTeam = entity.team;
+        // Free for all: the zone is held by a player (carrierId) instead of a team
+        const ours = entity.team ? entity.team === this.localTeam : entity.carrierId === this.playerId;
+        if (entity.state === ZoneState.CONTESTED) {
+          text = 'Hill contested!';
+        } else if (entity.state === ZoneState.HELD) {
+          text = ours ? (entity.team ? 'Your team holds the hill' : 'You hold the hill') : 'Enemy holds the hill';
+        } else if (entity.state === ZoneState.CAPTURING) {
+          text = ours ? 'Capturing the hill...' : 'Enemy is capturing the hill!';
+        } else {
+          text = 'Capture the hill';
+        }
+      } else if (entity.type === EntityType.SAFE_ZONE) {
+        const pos = this.playerController.position;
+        const dx = pos.x - entity.x;
+        const dz = pos.z - entity.z;
+        const outside = dx * dx + dz * dz > entity.radius * entity.radius;
+
+        if (this.isDead) {
+          text = 'Spectating until the round ends';
+        } else if (outside) {
+          text = 'Outside the safe zone! Get inside';
+        } else if (entity.progress > 0) {
+          text = 'The safe zone is closing';
+        }
+        warning = outside && !this.isDead;
+        progress = entity.progress;
+      }
+    }
+
+    this.hudElements.objectiveText.textContent = text;
+    this.hudElements.objective.classList.toggle('warning', warning);
+    this.hudElements.objective.style.display = text ? 'block' : 'none';
+
+    this.hudElements.objectiveBar.style.display = progress >= 0 ? 'block' : 'none';
+    if (progress >= 0) {
+      this.hudElements.objectiveFill.style.width = `${progress * 100}%`;
+      this.hudElements.objectiveFill.className = progressTeam ? `team-fill-${progressTeam}` : '';
+    }
+  }
+
   updateHUD(currentWeapon) {
     // Update weapon display
     const weapon = GAME_CONSTANTS.WEAPONS[currentWeapon];
     this.hudElements.weaponName.textContent = weapon.name;
 
-    // Update weapon slots
+    // Update weapon slots (others are greyed out while the mode forces our weapon)
+    const locked = this.input.lockedWeapon !== null;
     this.hudElements.weaponSlots.forEach((slot, index) => {
       slot.classList.toggle('active', index === currentWeapon);
+      slot.classList.toggle('locked', locked && index !== currentWeapon);
     });
   }
 
-  updateScoreboard(players) {
+  updateScoreboard(players, teamScores) {
     // Sort by score
     const sorted = [...players].sort((a, b) => b.score - a.score);
 
     let html = '';
+
+    // Team totals (team modes only)
+    if (teamScores.length > 0) {
+      html += `<div class="team-scores">
+        <span class="team-1">RED ${teamScores[0]}</span>
+        <span class="team-2">BLUE ${teamScores[1]}</span>
+      </div>`;
+    }
+
     for (const player of sorted.slice(0, 8)) {
       const isSelf = player.id === this.playerId;
-      html += `<div class="score-entry${isSelf ? ' self' : ''}">
-        <span>Player ${player.id}</span>
+      const teamClass = player.team ? ` team-${player.team}` : '';
+      html += `<div class="score-entry${teamClass}${isSelf ? ' self' : ''}">
+        <span>${this.escapeHTML(this.getPlayerName(player.id))}</span>
         <span>${player.score}</span>
       </div>`;
     }
@@ -641,11 +815,121 @@ export class Game {
     this.hudElements.scoreList.innerHTML = html;
   }
 
-  onDeath() {
+  // Forget everyone else (meshes and names)
+  clearRemotePlayers() {
+    for (const playerData of this.players.values()) {
+      playerData.mesh.dispose();
+    }
+    this.players.clear();
+    this.playerNames.clear();
+  }
+
+  applyRoomSettings(data) {
+    this.mapSeed = data.settings.mapSeed;
+    this.respawnDelay = data.settings.respawnDelay;
+
+    // Regenerate world with correct seed
+    this.worldRenderer.generateWorld(this.mapSeed);
+    this.playerController.obstacles = this.worldRenderer.obstacleGrid;
+
+    this.showRoomRules(data.modeName, data.settings);
+  }
+
+  showRoomRules(modeName, settings) {
+    const rules = [];
+    if (settings.scoreLimit > 0) rules.push(`First to ${settings.scoreLimit}`);
+    if (settings.timeLimit > 0) rules.push(`${Math.round(settings.timeLimit / 60000)} min`);
+    if (settings.friendlyFire > 0) rules.push(`FF ${Math.round(settings.friendlyFire * 100)}%`);
+
+    this.hudElements.modeName.textContent = modeName;
+    this.hudElements.roomRules.textContent = rules.join(' | ');
+  }
+
+  updatePhaseHUD(phase, timeLeft) {
+    const seconds = Math.ceil(timeLeft / 1000);
+    let text = '';
+
+    switch (phase) {
+      case MatchPhase.WARMUP:
+        text = 'Warmup - waiting for players';
+        break;
+      case MatchPhase.COUNTDOWN:
+        text = `Match starts in ${seconds}`;
+        break;
+      case MatchPhase.POST_MATCH:
+        this.hudElements.resultsTimer.textContent = `Next match in ${seconds}...`;
+        break;
+    }
+
+    this.hudElements.phaseBanner.textContent = text;
+    this.hudElements.phaseBanner.style.display = text ? 'block' : 'none';
+
+    // Results stay up for the whole intermission
+    if (phase !== MatchPhase.POST_MATCH && this.phase === MatchPhase.POST_MATCH) {
+      this.hudElements.results.style.display = 'none';
+    }
+    this.phase = phase;
+  }
+
+  showResults(results) {
+    const won = results.winnerIds.includes(this.playerId);
+    this.hudElements.resultsTitle.textContent = won ? 'Victory' : 'Defeat';
+
+    let html = '';
+
+    if (results.teamScores.length > 0) {
+      html += `<div class="team-scores">
+        <span class="team-1">RED ${results.teamScores[0]}</span>
+        <span class="team-2">BLUE ${results.teamScores[1]}</span>
+      </div>`;
+    }
+
+    html += `<div class="results-row results-header">
+      <span>Player</span><span>Score</span><span>Kills</span><span>Deaths</span>
+    </div>`;
+
+    const sorted = [...results.players].sort((a, b) => b.score - a.score);
+    for (const player of sorted) {
+      const classes = ['results-row'];
+      if (player.team) classes.push(`team-${player.team}`);
+      if (player.id === this.playerId) classes.push('self');
+      if (results.winnerIds.includes(player.id)) classes.push('winner');
+
+      html += `<div class="${classes.join(' ')}">
+        <span>${this.escapeHTML(player.name)}</span>
+        <span>${player.score}</span>
+        <span>${player.kills}</span>
+        <span>${player.deaths}</span>
+      </div>`;
+    }
+
+    this.hudElements.resultsList.innerHTML = html;
+    this.hudElements.results.style.display = 'flex';
+  }
+
+  getPlayerName(id) {
+    return this.playerNames.get(id) || `Player ${id}`;
+  }
+
+  // Player names come from other clients
+  escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  onDeath(death) {
     this.hudElements.deathScreen.style.display = 'flex';
+    this.hudElements.deathCause.textContent = this.describeDeath(death);
+
+    // Elimination has no respawns
+    if (this.entities.some(e => e.type === EntityType.SAFE_ZONE)) {
+      this.hudElements.respawnTimer.textContent = 'Spectating until the round ends';
+      return;
+    }
 
     // Countdown timer
-    let countdown = 2;
+    let countdown = Math.ceil(this.respawnDelay / 1000);
     this.hudElements.respawnTimer.textContent = `Respawning in ${countdown}...`;
 
     const timer = setInterval(() => {
@@ -658,6 +942,27 @@ export class Game {
     }, 1000);
   }
 
+  // Death screen subtitle (null = no event, e.g. spectating a round in progress)
+  describeDeath(death) {
+    if (!death) return '';
+
+    switch (death.reason) {
+      case DeathReason.KILLED: {
+        const weapon = GAME_CONSTANTS.WEAPONS[death.weapon];
+        const killer = this.getPlayerName(death.killerId);
+        return `Killed by ${killer}${weapon ? ` (${weapon.name})` : ''}${death.headshot ? ' - headshot' : ''}`;
+      }
+      case DeathReason.SUICIDE:
+        return 'You killed yourself';
+      case DeathReason.FELL:
+        return 'You fell';
+      case DeathReason.ZONE:
+        return 'Caught outside the zone';
+      default:
+        return '';
+    }
+  }
+
   onRespawn(state) {
     this.hudElements.deathScreen.style.display = 'none';
 
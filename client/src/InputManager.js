@@ -22,6 +22,9 @@ export class InputManager {
     this.shoot = false;
     this.weapon = 0;
 
+    // Weapon forced by the game mode (null = free choice)
+    this.lockedWeapon = null;
+
     // Pointer lock state
     this.isLocked = false;
 
@@ -90,20 +93,24 @@ export class InputManager {
         this.keys.sneak = true;
         break;
       case 'Digit1':
-        this.weapon = 0;
-        break;
       case 'Digit2':
-        this.weapon = 1;
-        break;
       case 'Digit3':
-        this.weapon = 2;
-        break;
       case 'Digit4':
-        this.weapon = 3;
+        if (this.lockedWeapon === null) {
+          this.weapon = parseInt(e.code.slice(5), 10) - 1;
+        }
         break;
     }
   }
 
+  // Force a weapon and ignore number keys, or pass null to unlock
+  setLockedWeapon(weapon) {
+    this.lockedWeapon = weapon;
+    if (weapon !== null) {
+      this.weapon = weapon;
+    }
+  }
+
   onKeyUp(e) {
     switch (e.code) {
       case 'KeyW':
@@ -2,242 +2,336 @@
 // NETWORK MANAGER - WEBSOCKET + BINARY PROTOCOL
 // ============================================
 
-// Message types (must match server)
-const ClientMessageType = {
-  JOIN: 1,
-  INPUT: 2,
-  PING: 3
-};
-
-const ServerMessageType = {
-  WELCOME: 1,
-  SNAPSHOT: 2,
-  PLAYER_JOINED: 3,
-  PLAYER_LEFT: 4,
-  DEATH: 5,
-  RESPAWN: 6,
-  GAME_OVER: 7
-};
+import {
+  INPUT_REDUNDANCY,
+  PROTOCOL_VERSION,
+  ProtocolFeature,
+  SUPPORTED_FEATURES,
+  ServerMessageType,
+  decodeDeath,
+  decodeGameOver,
+  decodeMapChange,
+  decodePong,
+  decodePlayerJoined,
+  decodePlayerLeft,
+  decodeReject,
+  decodeRespawn,
+  decodeSnapshot,
+  decodeWelcome,
+  encodeInputs,
+  encodeJoinRequest,
+  encodePing,
+  encodeSnapshotAck,
+  getMessageType,
+  getSnapshotBaselineTick
+} from '@shooter/shared';
+import { ClockSync } from './ClockSync.js';
+import { WebSocketTransport } from './transport.js';
+
+// Decoded player states kept as delta baselines (more than the server keeps)
+const SNAPSHOT_HISTORY = 128;
+
+// Reconnect backoff: doubles from the base delay up to the max, gives up after the last attempt
+// (the server holds a dropped player for 30s by default)
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 8000;
+const MAX_RECONNECT_ATTEMPTS = 8;
 
 export class NetworkManager {
-  constructor(wsUrl) {
-    this.wsUrl = wsUrl;
-    this.ws = null;
-    this.inputSequence = 0;
+  // createTransport(url) opens a connection - a WebSocket unless told otherwise (see transport.js)
+  constructor(url, createTransport = (url) => new WebSocketTransport(url)) {
+    this.url = url;
+    this.createTransport = createTransport;
+    this.transport = null;
+    this.inputSequence = 1; // seq of the next input (the server treats 0 as already seen)
+
+    // Sent inputs the server hasn't processed yet (oldest first) - resent with every new one
+    this.unackedInputs = [];
 
     // Callbacks
     this.onWelcome = null;
     this.onSnapshot = null;
+    this.onGameOver = null;
+    this.onMapChange = null;
+    this.onPlayerJoined = null;
+    this.onPlayerLeft = null;
+    this.onPlayerDeath = null;
+    this.onPlayerRespawn = null;
+    this.onReject = null;
+    this.onReconnecting = null;
     this.onDisconnect = null;
 
-    // Pre-allocated buffers for encoding
-    this.inputBuffer = new ArrayBuffer(64);
-    this.inputView = new DataView(this.inputBuffer);
+    // Session resume: the token from WELCOME gets our player back after a dropped connection
+    this.sessionToken = '';
+    this.playerName = '';
+    this.roomId = '';
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+
+    // ProtocolFeature bits the server enabled for this connection (set by WELCOME)
+    this.features = 0;
 
-    // Clock Sync
-    this.rtt = 0;
-    this.serverTimeOffset = 0;
+    // Player states per received tick, indexed by tick % SNAPSHOT_HISTORY
+    this.snapshotHistory = [];
+
+    // Server clock estimate from PING/PONG round trips (stamps INPUT for lag compensation)
+    this.clock = new ClockSync();
+    this.pingTimer = null;
+  }
+
+  connect(playerName, roomId = '') {
+    this.playerName = playerName;
+    this.roomId = roomId;
+    this.sessionToken = '';
+    this.shouldReconnect = true;
+    this.reconnectAttempts = 0;
+    this.open();
 
     // Start Ping loop
-    setInterval(() => this.sendPing(), 1000);
+    if (!this.pingTimer) {
+      this.pingTimer = setInterval(() => this.sendPing(), 1000);
+    }
   }
 
-  connect(playerName) {
-    console.log(`[Network] Connecting to ${this.wsUrl}...`);
+  // Open a connection and join (or resume, if we have a session token)
+  open() {
+    console.log(`[Network] Connecting to ${this.url}...`);
+
+    // Baselines from an old connection mean nothing to the new one
+    this.snapshotHistory.length = 0;
+    this.unackedInputs.length = 0;
+    this.features = 0;
+    this.clock.reset();
 
-    this.ws = new WebSocket(this.wsUrl);
-    this.ws.binaryType = 'arraybuffer';
+    const transport = this.createTransport(this.url);
+    this.transport = transport;
 
-    this.ws.onopen = () => {
+    transport.onOpen = () => {
       console.log('[Network] Connected');
-      this.sendJoin(playerName);
+      this.sendJoin(this.playerName, this.roomId);
     };
 
-    this.ws.onmessage = (event) => {
-      this.handleMessage(event.data);
+    transport.onMessage = (data) => {
+      this.handleMessage(data);
     };
 
-    this.ws.onclose = () => {
+    transport.onClose = () => {
       console.log('[Network] Disconnected');
-      if (this.onDisconnect) this.onDisconnect();
-    };
-
-    this.ws.onerror = (error) => {
-      console.error('[Network] Error:', error);
+      if (this.shouldReconnect && this.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+        this.scheduleReconnect();
+      } else if (this.onDisconnect) {
+        this.onDisconnect();
+      }
     };
   }
 
-  sendJoin(name) {
-    // Encode: [type:u8][nameLength:u8][name:string]
-    const nameBytes = new TextEncoder().encode(name);
-    const buffer = new ArrayBuffer(2 + nameBytes.length);
-    const view = new Uint8Array(buffer);
+  scheduleReconnect() {
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+    this.reconnectAttempts++;
+    console.log(`[Network] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+
+    if (this.onReconnecting) this.onReconnecting(this.reconnectAttempts);
 
-    view[0] = ClientMessageType.JOIN;
-    view[1] = nameBytes.length;
-    view.set(nameBytes, 2);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.open();
+    }, delay);
+  }
 
-    this.ws.send(buffer);
+  sendJoin(name, roomId) {
+    this.transport.send(encodeJoinRequest({
+      name,
+      roomId,
+      protocolVersion: PROTOCOL_VERSION,
+      features: SUPPORTED_FEATURES,
+      sessionToken: this.sessionToken
+    }));
   }
 
   sendInput(input) {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
-
-    // Encode input data to binary
-    // Format: [type:u8][seq:u32][flags:u8][weapon:u8][yaw:f32][pitch:f32][timestamp:f64]
-    const view = this.inputView;
-    let offset = 0;
-
-    view.setUint8(offset++, ClientMessageType.INPUT);
-    view.setUint32(offset, input.seq, true); offset += 4;
-
-    // Pack booleans into flags byte
-    let flags = 0;
-    if (input.forward) flags |= 1;
-    if (input.backward) flags |= 2;
-    if (input.left) flags |= 4;
-    if (input.right) flags |= 8;
-    if (input.jump) flags |= 16;
-    if (input.sprint) flags |= 32;
-    if (input.sneak) flags |= 64;
-    if (input.shoot) flags |= 128;
-
-    view.setUint8(offset++, flags);
-    view.setUint8(offset++, input.weapon);
-    view.setFloat32(offset, input.yaw, true); offset += 4;
-    view.setFloat32(offset, input.pitch, true); offset += 4;
-    view.setUint8(offset++, input.weapon);
-    view.setFloat32(offset, input.yaw, true); offset += 4;
-    view.setFloat32(offset, input.pitch, true); offset += 4;
-    // Use Server Time estimate
-    view.setFloat64(offset, this.getServerTime(), true); offset += 8;
-
-    this.ws.send(this.inputBuffer.slice(0, offset));
+    if (!this.transport || !this.transport.isOpen) return;
+
+    this.unackedInputs.push(input);
+    if (this.unackedInputs.length > INPUT_REDUNDANCY) {
+      this.unackedInputs.shift();
+    }
+
+    this.transport.send(encodeInputs(this.unackedInputs));
   }
 
   handleMessage(data) {
-    const view = new DataView(data);
-    const type = view.getUint8(0);
+    const type = getMessageType(data);
 
     switch (type) {
       case ServerMessageType.WELCOME:
-        this.handleWelcome(view);
+        this.handleWelcome(data);
         break;
       case ServerMessageType.SNAPSHOT:
-        this.handleSnapshot(view, data);
+        this.handleSnapshot(data);
+        break;
+      case ServerMessageType.GAME_OVER:
+        this.handleGameOver(data);
+        break;
+      case ServerMessageType.MAP_CHANGE:
+        this.handleMapChange(data);
+        break;
+      case ServerMessageType.PLAYER_JOINED:
+        this.handlePlayerJoined(data);
+        break;
+      case ServerMessageType.PLAYER_LEFT:
+        this.handlePlayerLeft(data);
+        break;
+      case ServerMessageType.DEATH:
+        this.handleDeath(data);
         break;
-      case ClientMessageType.PING: // Echoed ping
-        this.handlePing(view);
+      case ServerMessageType.RESPAWN:
+        this.handleRespawn(data);
+        break;
+      case ServerMessageType.PONG:
+        this.handlePong(data);
+        break;
+      case ServerMessageType.REJECT:
+        this.handleReject(data);
         break;
     }
   }
 
   sendPing() {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
-
-    const buffer = new ArrayBuffer(9); // 1 + 8
-    const view = new DataView(buffer);
-    view.setUint8(0, ClientMessageType.PING);
-    view.setFloat64(1, Date.now(), true);
+    if (!this.transport || !this.transport.isOpen) return;
 
-    this.ws.send(buffer);
+    this.transport.send(encodePing(Date.now()));
   }
 
-  handlePing(view) {
-    const sentTime = view.getFloat64(1, true);
-    const now = Date.now();
-    this.rtt = now - sentTime;
+  handlePong(data) {
+    const pong = decodePong(data);
+    this.clock.addSample(pong.clientTime, pong.serverReceiveTime, pong.serverSendTime, Date.now());
   }
 
   getServerTime() {
-    return Date.now() + this.serverTimeOffset;
+    return Date.now() + this.clock.offset;
   }
 
-  handleWelcome(view) {
-    // Format: [type:u8][playerId:u16][tickRate:u8][mapSeed:u32]
-    const playerId = view.getUint16(1, true);
-    const tickRate = view.getUint8(3);
-    const mapSeed = view.getUint32(4, true);
+  // Offset, its error bound, RTT and jitter (ms)
+  getClockStats() {
+    return this.clock.getStats();
+  }
+
+  handleWelcome(data) {
+    const welcome = decodeWelcome(data);
+    this.features = welcome.features;
+    this.sessionToken = welcome.sessionToken;
+    this.reconnectAttempts = 0;
+
+    // First clock sample now rather than at the next ping interval
+    this.sendPing();
 
     if (this.onWelcome) {
-      this.onWelcome({ playerId, tickRate, mapSeed });
+      this.onWelcome(welcome);
     }
   }
 
-  handleSnapshot(view, data) {
-    // Format: [type:u8][tick:u32][timestamp:f64][playerCount:u8][hitCount:u8][lastInput:u32][players...][hits...]
-    let offset = 1;
+  handleReject(data) {
+    const rejection = decodeReject(data);
+    console.warn(`[Network] Join rejected: ${rejection.message}`);
 
-    const tick = view.getUint32(offset, true); offset += 4;
-    const serverTime = view.getFloat64(offset, true); offset += 8;
+    // Retrying won't change the server's mind
+    this.shouldReconnect = false;
 
-    // Clock Synchronization
-    // We update our offset based on the server time received in snapshot
-    // serverTime is the time when snapshot was SENT
-    // So current server time is roughly serverTime + latency/2 (time to travel to us)
-    // offset = (serverTime + latency/2) - now
-    // We smooth it to avoid jumps
-
-    const now = Date.now();
-    const estimatedServerTime = serverTime + (this.rtt / 2);
-    const split = estimatedServerTime - now;
+    if (this.onReject) {
+      this.onReject(rejection);
+    }
+  }
 
-    // Smooth update (simple exponential moving average)
-    if (this.serverTimeOffset === 0) {
-      this.serverTimeOffset = split;
-    } else {
-      this.serverTimeOffset = this.serverTimeOffset * 0.9 + split * 0.1;
+  handleMapChange(data) {
+    if (this.onMapChange) {
+      this.onMapChange(decodeMapChange(data));
     }
+  }
+
+  sendSnapshotAck(tick) {
+    if (!this.transport || !this.transport.isOpen) return;
+    if (!(this.features & ProtocolFeature.DELTA_SNAPSHOTS)) return;
+
+    // Tick 0 asks for a full snapshot
+    this.transport.send(encodeSnapshotAck(tick));
+  }
 
-    const playerCount = view.getUint8(offset++);
-    const hitCount = view.getUint8(offset++);
-    const lastProcessedInput = view.getUint32(offset, true); offset += 4;
-
-    // Decode players
-    const players = [];
-    for (let i = 0; i < playerCount; i++) {
-      const player = {
-        id: view.getUint16(offset, true),
-        x: view.getFloat32(offset + 2, true),
-        y: view.getFloat32(offset + 6, true),
-        z: view.getFloat32(offset + 10, true),
-        vx: view.getFloat32(offset + 14, true),
-        vy: view.getFloat32(offset + 18, true),
-        vz: view.getFloat32(offset + 22, true),
-        yaw: view.getFloat32(offset + 26, true),
-        pitch: view.getFloat32(offset + 30, true),
-        health: view.getUint8(offset + 34),
-        weapon: view.getUint8(offset + 35),
-        isShooting: view.getUint8(offset + 36) === 1,
-        isDead: view.getUint8(offset + 37) === 1,
-        score: view.getUint16(offset + 38, true)
-      };
-      players.push(player);
-      offset += 40; // Player state size
+  handleSnapshot(data) {
+    // Find the baseline this delta was built against
+    const baselineTick = getSnapshotBaselineTick(data);
+    let baseline = null;
+    if (baselineTick > 0) {
+      const entry = this.snapshotHistory[baselineTick % SNAPSHOT_HISTORY];
+      if (!entry || entry.tick !== baselineTick) {
+        // Lost it - drop this snapshot and ask for a full one
+        console.warn(`[Network] Missing baseline ${baselineTick}, requesting full snapshot`);
+        this.sendSnapshotAck(0);
+        return;
+      }
+      baseline = entry.states;
     }
 
-    // Decode hits
-    const hits = [];
-    for (let i = 0; i < hitCount; i++) {
-      const hit = {
-        shooterId: view.getUint16(offset, true),
-        targetId: view.getUint16(offset + 2, true),
-        damage: view.getUint8(offset + 4),
-        headshot: view.getUint8(offset + 5) === 1
-      };
-      hits.push(hit);
-      offset += 6;
+    const snapshot = decodeSnapshot(data, baseline, (this.features & ProtocolFeature.COMPACT_ENCODING) !== 0);
+
+    // Keep private copies so game code can't change a future baseline
+    const states = new Map();
+    for (const player of snapshot.players) {
+      states.set(player.id, { ...player });
     }
 
+    this.snapshotHistory[snapshot.tick % SNAPSHOT_HISTORY] = { tick: snapshot.tick, states };
+    this.sendSnapshotAck(snapshot.tick);
+
+    // Stop resending inputs the server has applied
+    const acked = this.unackedInputs.findIndex(input => input.seq > snapshot.lastProcessedInput);
+    this.unackedInputs.splice(0, acked === -1 ? this.unackedInputs.length : acked);
+
     if (this.onSnapshot) {
-      this.onSnapshot({ tick, timestamp: serverTime, players, hits, lastProcessedInput });
+      this.onSnapshot(snapshot);
+    }
+  }
+
+  handlePlayerJoined(data) {
+    if (this.onPlayerJoined) {
+      this.onPlayerJoined(decodePlayerJoined(data));
+    }
+  }
+
+  handlePlayerLeft(data) {
+    if (this.onPlayerLeft) {
+      this.onPlayerLeft({ id: decodePlayerLeft(data) });
+    }
+  }
+
+  handleDeath(data) {
+    if (this.onPlayerDeath) {
+      this.onPlayerDeath(decodeDeath(data));
+    }
+  }
+
+  handleRespawn(data) {
+    if (this.onPlayerRespawn) {
+      this.onPlayerRespawn(decodeRespawn(data));
+    }
+  }
+
+  handleGameOver(data) {
+    if (this.onGameOver) {
+      this.onGameOver(decodeGameOver(data));
     }
   }
 
   disconnect() {
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
     }
   }
 }
@@ -2,12 +2,14 @@
 // PLAYER CONTROLLER - CLIENT-SIDE PREDICTION
 // ============================================
 
+import { Stance, canFireAt, stepMovement } from '@shooter/shared';
+
 export class PlayerController {
   constructor(camera, scene, constants, obstacles) {
     this.camera = camera;
     this.scene = scene;
     this.constants = constants;
-    this.obstacles = obstacles;
+    this.obstacles = obstacles; // ObstacleGrid of the current map
 
     // Position and velocity
     this.position = { x: 0, y: 0, z: 0 };
@@ -15,6 +17,8 @@ export class PlayerController {
 
     // State
     this.grounded = false;
+    this.stance = Stance.STANDING; // Follows the sneak key each step (no need to reconcile it)
+    this.lastShotSeq = 0;          // Input that last fired (fire rate counts inputs, like the server)
 
     // Input history for reconciliation - stores inputs with their deltaTime
     this.inputHistory = [];
@@ -38,37 +42,6 @@ export class PlayerController {
     this.applyInput(inputWithYaw, deltaTime);
   }
 
-  checkCollision(x, y, z, radius, height) {
-    for (const obs of this.obstacles) {
-      if (this.checkObstacleCollision(x, y, z, radius, height, obs)) {
-        return true;
-      }
-    }
-    return false;
-  }
-
-  checkObstacleCollision(x, y, z, radius, height, obstacle) {
-    const halfW = obstacle.width / 2;
-    const halfD = obstacle.depth / 2;
-
-    // AABB vs cylinder (approximated as AABB)
-    const closestX = Math.max(obstacle.x - halfW, Math.min(x, obstacle.x + halfW));
-    const closestZ = Math.max(obstacle.z - halfD, Math.min(z, obstacle.z + halfD));
-
-    const distX = x - closestX;
-    const distZ = z - closestZ;
-    const distSq = distX * distX + distZ * distZ;
-
-    if (distSq < radius * radius) {
-      // Check Y overlap
-      if (y < obstacle.height && y + height > 0) {
-        return true;
-      }
-    }
-
-    return false;
-  }
-
   // Store input for reconciliation - include deltaTime used
   storeInput(input, seq, deltaTime) {
     this.inputHistory.push({
@@ -157,99 +130,39 @@ export class PlayerController {
   }
 
   // Apply a single input (used for both normal update and reconciliation)
+  // The server runs the same stepMovement on the same input, so replays land where it did
   applyInput(input, deltaTime) {
     // Save state for interpolation
     this.prevPosition = { ...this.position };
 
-    // Calculate movement direction in local space
-    let moveX = 0;
-    let moveZ = 0;
-
-    // Fixed: Forward is +Z, Backward is -Z
-    if (input.forward) moveZ += 1;
-    if (input.backward) moveZ -= 1;
-    if (input.left) moveX -= 1;
-    if (input.right) moveX += 1;
-
-    // Normalize diagonal movement
-    const len = Math.sqrt(moveX * moveX + moveZ * moveZ);
-    if (len > 0) {
-      moveX /= len;
-      moveZ /= len;
-    }
-
-    // Rotate by camera yaw to get world-space direction
-    // In Babylon.js: yaw=0 looks at +Z, yaw=PI/2 looks at +X
-    // Local space: -Z is forward, +X is right
-    // We need to transform local movement to world space
+    const state = {
+      x: this.position.x,
+      y: this.position.y,
+      z: this.position.z,
+      vx: this.velocity.x,
+      vy: this.velocity.y,
+      vz: this.velocity.z,
+      grounded: this.grounded,
+      stance: this.stance
+    };
     const yaw = input.yaw !== undefined ? input.yaw : this.camera.rotation.y;
-    const cosYaw = Math.cos(yaw);
-    const sinYaw = Math.sin(yaw);
-
-    // Forward vector at yaw: (sin(yaw), 0, cos(yaw))
-    // Right vector at yaw: (cos(yaw), 0, -sin(yaw))
-    // Rotated vector
-    const worldMoveX = moveX * cosYaw + moveZ * sinYaw;
-    const worldMoveZ = -moveX * sinYaw + moveZ * cosYaw;
-
-    // Apply speed modifiers
-    let speed = this.constants.MOVE_SPEED;
-    if (input.sprint) speed *= this.constants.SPRINT_MULTIPLIER;
-    if (input.sneak) speed *= this.constants.SNEAK_MULTIPLIER;
-
-    // Set horizontal velocity
-    this.velocity.x = worldMoveX * speed;
-    this.velocity.z = worldMoveZ * speed;
-
-    // Jump
-    if (input.jump && this.grounded) {
-      this.velocity.y = this.constants.JUMP_FORCE;
-      this.grounded = false;
-    }
-
-    // Apply gravity
-    this.velocity.y -= this.constants.GRAVITY * deltaTime;
-
-    // Calculate new position
-    let newX = this.position.x + this.velocity.x * deltaTime;
-    let newY = this.position.y + this.velocity.y * deltaTime;
-    let newZ = this.position.z + this.velocity.z * deltaTime;
-
-    // Collision detection
-    const radius = this.constants.PLAYER_RADIUS;
-    const height = this.constants.PLAYER_HEIGHT;
-
-    // Check X collision
-    if (this.checkCollision(newX, this.position.y, this.position.z, radius, height)) {
-      newX = this.position.x;
-      this.velocity.x = 0;
-    }
-
-    // Check Z collision
-    if (this.checkCollision(newX, this.position.y, newZ, radius, height)) {
-      newZ = this.position.z;
-      this.velocity.z = 0;
-    }
-
-    // Ground check
-    if (newY <= 0) {
-      newY = 0;
-      this.velocity.y = 0;
-      this.grounded = true;
-    } else if (this.checkCollision(newX, newY, newZ, radius, height)) {
-      newY = this.position.y;
-      this.velocity.y = 0;
-    }
-
-    // Map bounds
-    const halfMap = this.constants.MAP_SIZE / 2 - radius;
-    newX = Math.max(-halfMap, Math.min(halfMap, newX));
-    newZ = Math.max(-halfMap, Math.min(halfMap, newZ));
+    stepMovement(state, { ...input, yaw }, deltaTime, this.obstacles);
+
+    this.position.x = state.x;
+    this.position.y = state.y;
+    this.position.z = state.z;
+    this.velocity.x = state.vx;
+    this.velocity.y = state.vy;
+    this.velocity.z = state.vz;
+    this.grounded = state.grounded;
+    this.stance = state.stance;
+  }
 
-    // Update position
-    this.position.x = newX;
-    this.position.y = newY;
-    this.position.z = newZ;
+  // Whether a firing input shoots - the same check as the server's Player.canShoot, so both pick the same seqs
+  canShoot(input, weaponIndex) {
+    if (!canFireAt(input.seq, this.lastShotSeq, weaponIndex)) return false;
+    this.lastShotSeq = input.seq;
+    return true;
   }
 
   // Get interpolated position for rendering
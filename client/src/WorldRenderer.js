@@ -3,12 +3,15 @@
 // ============================================
 
 import * as BABYLON from '@babylonjs/core';
+import { EntityType, ObstacleGrid, RampDirection, ZoneState, generateObstacles } from '@shooter/shared';
 
 export class WorldRenderer {
   constructor(scene, constants) {
     this.scene = scene;
     this.constants = constants;
     this.obstacles = [];
+    this.obstacleGrid = null; // Collision world for prediction (set by generateWorld)
+    this.entityMeshes = new Map(); // entity id -> mesh root
 
     // Materials
     this.groundMaterial = null;
@@ -91,52 +94,22 @@ export class WorldRenderer {
     });
     this.obstacles = [];
 
-    const mapSize = this.constants.MAP_SIZE;
-    const count = this.constants.OBSTACLE_COUNT;
-
-    // Seeded random
-    let s = seed;
-    const random = () => {
-      s = (s * 1103515245 + 12345) & 0x7fffffff;
-      return s / 0x7fffffff;
-    };
-
-    // Create random obstacles
-    for (let i = 0; i < count; i++) {
-      const width = 1 + random() * 4;
-      const height = 2 + random() * 6;
-      const depth = 1 + random() * 4;
-      const x = (random() - 0.5) * (mapSize - width);
-      const z = (random() - 0.5) * (mapSize - depth);
-
-      this.createObstacle(x, z, width, height, depth, i);
-    }
-
-    // Boundary walls
-    const wallThickness = 1;
-    const wallHeight = 5;
-    const halfSize = mapSize / 2;
-
-    // North wall
-    this.createObstacle(0, halfSize, mapSize, wallHeight, wallThickness, 'wallN');
-    // South wall
-    this.createObstacle(0, -halfSize, mapSize, wallHeight, wallThickness, 'wallS');
-    // East wall
-    this.createObstacle(halfSize, 0, wallThickness, wallHeight, mapSize, 'wallE');
-    // West wall
-    this.createObstacle(-halfSize, 0, wallThickness, wallHeight, mapSize, 'wallW');
+    // Same generator as the server, so the map matches its collision world
+    const obstacles = generateObstacles(seed);
+    obstacles.forEach((obs, i) => {
+      this.createObstacle(obs.x, obs.z, obs.width, obs.height, obs.depth, i, obs.ramp);
+    });
+    this.obstacleGrid = new ObstacleGrid(obstacles);
 
     console.log(`[World] Generated ${this.obstacles.length} obstacles with seed ${seed}`);
   }
 
-  createObstacle(x, z, width, height, depth, id) {
-    const mesh = BABYLON.MeshBuilder.CreateBox(
-      `obstacle_${id}`,
-      { width, height, depth },
-      this.scene
-    );
+  createObstacle(x, z, width, height, depth, id, ramp = RampDirection.NONE) {
+    const mesh = ramp === RampDirection.NONE ?
+      BABYLON.MeshBuilder.CreateBox(`obstacle_${id}`, { width, height, depth }, this.scene) :
+      this.createRampMesh(`obstacle_${id}`, width, height, depth, ramp);
     mesh.position.x = x;
-    mesh.position.y = height / 2;
+    mesh.position.y = ramp === RampDirection.NONE ? height / 2 : 0;
     mesh.position.z = z;
     mesh.material = this.obstacleMaterial;
     mesh.checkCollisions = true;
@@ -149,15 +122,57 @@ export class WorldRenderer {
       0.4 + variation,
       0.5 + variation
     );
+    varMaterial.backFaceCulling = ramp === RampDirection.NONE; // Ramp wedges are built by hand
     mesh.material = varMaterial;
 
-    const obstacle = { x, z, width, height, depth, mesh };
+    const obstacle = { x, z, width, height, depth, ramp, mesh };
     this.obstacles.push(obstacle);
 
     return obstacle;
   }
 
-  createPlayerMesh(playerId) {
+  // Wedge standing on y = 0: a box whose top slopes from 0 up to height toward the ramp's direction
+  createRampMesh(name, width, height, depth, ramp) {
+    const halfW = width / 2;
+    const halfD = depth / 2;
+    const corners = [[-halfW, -halfD], [halfW, -halfD], [halfW, halfD], [-halfW, halfD]];
+    const topHeight = ([cx, cz]) => {
+      switch (ramp) {
+        case RampDirection.NORTH: return cz > 0 ? height : 0;
+        case RampDirection.SOUTH: return cz < 0 ? height : 0;
+        case RampDirection.EAST: return cx > 0 ? height : 0;
+        default: return cx < 0 ? height : 0;
+      }
+    };
+
+    // Bottom corners 0-3, top corners 4-7 (the low edge's top corners sit on the ground)
+    const positions = [];
+    for (const [cx, cz] of corners) positions.push(cx, 0, cz);
+    for (const corner of corners) positions.push(corner[0], topHeight(corner), corner[1]);
+
+    const indices = [
+      0, 1, 2, 0, 2, 3, // Bottom
+      4, 6, 5, 4, 7, 6, // Top (slope)
+      0, 4, 5, 0, 5, 1, // South
+      1, 5, 6, 1, 6, 2, // East
+      2, 6, 7, 2, 7, 3, // North
+      3, 7, 4, 3, 4, 0  // West
+    ];
+
+    const vertexData = new BABYLON.VertexData();
+    vertexData.positions = positions;
+    vertexData.indices = indices;
+    const normals = [];
+    BABYLON.VertexData.ComputeNormals(positions, indices, normals);
+    vertexData.normals = normals;
+
+    const mesh = new BABYLON.Mesh(name, this.scene);
+    vertexData.applyToMesh(mesh);
+    mesh.convertToFlatShadedMesh();
+    return mesh;
+  }
+
+  createPlayerMesh(playerId, team = 0) {
     // Create player mesh group
     const root = new BABYLON.TransformNode(`player_${playerId}`, this.scene);
 
@@ -174,11 +189,7 @@ export class WorldRenderer {
     );
     body.position.y = bodyHeight / 2;
     body.material = this.playerMaterial.clone(`playerMat_${playerId}`);
-
-    // Randomize player color
-    const hue = (playerId * 137.5) % 360;
-    const color = BABYLON.Color3.FromHSV(hue, 0.7, 0.8);
-    body.material.diffuseColor = color;
+    body.material.diffuseColor = this.getPlayerColor(playerId, team);
 
     body.parent = root;
 
@@ -205,11 +216,186 @@ export class WorldRenderer {
     indicator.parent = head;
 
     // Attach head reference to root metadata for independent rotation
-    root.metadata = { head: head };
+    root.metadata = { head: head, body, team };
 
     return root;
   }
 
+  // Recolor a player mesh after a team switch (also when a map change moves everyone)
+  setPlayerTeam(root, playerId, team) {
+    root.metadata.team = team;
+    root.metadata.body.material.diffuseColor = this.getPlayerColor(playerId, team);
+  }
+
+  // Team color, or a per-player color outside team modes
+  getPlayerColor(playerId, team) {
+    return this.getTeamColor(team) || BABYLON.Color3.FromHSV((playerId * 137.5) % 360, 0.7, 0.8);
+  }
+
+  // Team body color (null for no team)
+  getTeamColor(team) {
+    switch (team) {
+      case 1: return new BABYLON.Color3(0.85, 0.2, 0.2); // Red
+      case 2: return new BABYLON.Color3(0.2, 0.4, 0.9);  // Blue
+      default: return null;
+    }
+  }
+
+  // Sync world entity meshes (flags, ...) with the latest snapshot
+  updateEntities(entities) {
+    const activeIds = new Set();
+
+    for (const entity of entities) {
+      activeIds.add(entity.id);
+
+      let mesh = this.entityMeshes.get(entity.id);
+      if (mesh && mesh.metadata.type !== entity.type) {
+        mesh.dispose();
+        mesh = null;
+      }
+      if (!mesh) {
+        mesh = this.createEntityMesh(entity);
+        if (!mesh) continue;
+        this.entityMeshes.set(entity.id, mesh);
+      }
+
+      mesh.position.x = entity.x;
+      mesh.position.y = entity.y;
+      mesh.position.z = entity.z;
+
+      if (entity.type === EntityType.ZONE) {
+        this.updateZoneMesh(mesh, entity);
+      } else if (entity.type === EntityType.SAFE_ZONE) {
+        mesh.position.y = mesh.metadata.height / 2;
+        mesh.scaling.x = entity.radius;
+        mesh.scaling.z = entity.radius;
+      }
+    }
+
+    // Remove entities that are gone
+    for (const [id, mesh] of this.entityMeshes) {
+      if (!activeIds.has(id)) {
+        mesh.dispose();
+        this.entityMeshes.delete(id);
+      }
+    }
+  }
+
+  getEntityMesh(entityId) {
+    return this.entityMeshes.get(entityId) || null;
+  }
+
+  createEntityMesh(entity) {
+    switch (entity.type) {
+      case EntityType.FLAG:
+        return this.createFlagMesh(entity);
+      case EntityType.ZONE:
+        return this.createZoneMesh(entity);
+      case EntityType.SAFE_ZONE:
+        return this.createSafeZoneMesh(entity);
+      default:
+        return null;
+    }
+  }
+
+  createFlagMesh(entity) {
+    const root = new BABYLON.TransformNode(`flag_${entity.id}`, this.scene);
+    const color = this.getTeamColor(entity.team) || new BABYLON.Color3(1, 1, 1);
+
+    // Pole
+    const pole = BABYLON.MeshBuilder.CreateCylinder(
+      `flagPole_${entity.id}`,
+      { height: 2.2, diameter: 0.08 },
+      this.scene
+    );
+    pole.position.y = 1.1;
+    pole.material = this.obstacleMaterial;
+    pole.parent = root;
+
+    // Cloth
+    const cloth = BABYLON.MeshBuilder.CreateBox(
+      `flagCloth_${entity.id}`,
+      { width: 0.8, height: 0.5, depth: 0.03 },
+      this.scene
+    );
+    cloth.position.x = 0.4;
+    cloth.position.y = 1.9;
+    const clothMaterial = new BABYLON.StandardMaterial(`flagMat_${entity.id}`, this.scene);
+    clothMaterial.diffuseColor = color;
+    clothMaterial.emissiveColor = color.scale(0.4);
+    cloth.material = clothMaterial;
+    cloth.parent = root;
+
+    root.metadata = { type: entity.type };
+
+    return root;
+  }
+
+  createZoneMesh(entity) {
+    // Unit-radius ring, scaled to the zone radius on update
+    const zone = BABYLON.MeshBuilder.CreateCylinder(
+      `zone_${entity.id}`,
+      { height: 0.05, diameter: 2, tessellation: 48 },
+      this.scene
+    );
+
+    const zoneMaterial = new BABYLON.StandardMaterial(`zoneMat_${entity.id}`, this.scene);
+    zoneMaterial.alpha = 0.35;
+    zoneMaterial.specularColor = new BABYLON.Color3(0, 0, 0);
+    zone.material = zoneMaterial;
+    zone.isPickable = false;
+
+    zone.metadata = { type: entity.type };
+
+    return zone;
+  }
+
+  updateZoneMesh(mesh, entity) {
+    mesh.position.y = 0.03;
+    mesh.scaling.x = entity.radius;
+    mesh.scaling.z = entity.radius;
+
+    // Contested zones flash orange; otherwise tint toward the capturing team (or player, without teams)
+    let color;
+    if (entity.state === ZoneState.CONTESTED) {
+      color = new BABYLON.Color3(1, 0.6, 0.1);
+    } else {
+      const neutral = new BABYLON.Color3(0.9, 0.9, 0.9);
+      const ownerColor = entity.carrierId ? this.getPlayerColor(entity.carrierId, entity.team) : this.getTeamColor(entity.team);
+      color = BABYLON.Color3.Lerp(neutral, ownerColor || neutral, entity.progress);
+    }
+    mesh.material.diffuseColor = color;
+    mesh.material.emissiveColor = color.scale(0.5);
+  }
+
+  createSafeZoneMesh(entity) {
+    // Open unit-radius cylinder wall, scaled to the zone radius on update
+    const wallHeight = 12;
+    const wall = BABYLON.MeshBuilder.CreateCylinder(
+      `safeZone_${entity.id}`,
+      {
+        height: wallHeight,
+        diameter: 2,
+        tessellation: 64,
+        cap: BABYLON.Mesh.NO_CAP,
+        sideOrientation: BABYLON.Mesh.DOUBLESIDE
+      },
+      this.scene
+    );
+
+    const wallMaterial = new BABYLON.StandardMaterial(`safeZoneMat_${entity.id}`, this.scene);
+    wallMaterial.diffuseColor = new BABYLON.Color3(0.3, 0.6, 1);
+    wallMaterial.emissiveColor = new BABYLON.Color3(0.15, 0.3, 0.6);
+    wallMaterial.alpha = 0.2;
+    wallMaterial.backFaceCulling = false;
+    wall.material = wallMaterial;
+    wall.isPickable = false;
+
+    wall.metadata = { type: entity.type, height: wallHeight };
+
+    return wall;
+  }
+
   // Create a muzzle flash effect
   createMuzzleFlash(position, direction) {
     const flash = BABYLON.MeshBuilder.CreateSphere(
@@ -19,10 +19,36 @@ function getWebSocketUrl() {
   return `${protocol}//${host}:${port}`;
 }
 
+// HTTP base URL of the game server (same host and port as the WebSocket)
+function getServerHttpUrl(wsUrl) {
+  return wsUrl.replace(/^ws/, 'http').replace(/\/$/, '');
+}
+
+// Fill the room picker from the server's room list
+async function loadRooms(wsUrl) {
+  try {
+    const response = await fetch(`${getServerHttpUrl(wsUrl)}/rooms`);
+    const rooms = await response.json();
+
+    for (const room of rooms) {
+      const option = document.createElement('option');
+      option.value = room.id;
+      option.textContent = `${room.id} - ${room.modeName} (${room.playerCount}/${room.settings.maxPlayers})`;
+      option.disabled = room.playerCount >= room.settings.maxPlayers;
+      roomSelect.appendChild(option);
+    }
+  } catch (error) {
+    // Auto still works without the list
+    console.warn('[Client] Could not load room list:', error);
+  }
+}
+
 // DOM Elements
 const lobby = document.getElementById('lobby');
 const playerNameInput = document.getElementById('playerName');
 const joinBtn = document.getElementById('joinBtn');
+const roomSelect = document.getElementById('roomSelect');
+const lobbyError = document.getElementById('lobbyError');
 const hud = document.getElementById('hud');
 const deathScreen = document.getElementById('death-screen');
 
@@ -40,6 +66,16 @@ async function init() {
   game = new Game(canvas, wsUrl);
   await game.init();
   
+  loadRooms(wsUrl);
+  
+  // Back to the lobby with the server's reason when it turns us away
+  game.onRejected = (message) => {
+    hud.style.display = 'none';
+    lobby.style.display = 'flex';
+    lobbyError.textContent = message;
+    lobbyError.style.display = 'block';
+  };
+  
   // Handle join button
   joinBtn.addEventListener('click', () => {
     const name = playerNameInput.value.trim() || 'Player';
@@ -60,9 +96,10 @@ function joinGame(name) {
   if (!game) return;
   
   lobby.style.display = 'none';
+  lobbyError.style.display = 'none';
   hud.style.display = 'block';
   
-  game.connect(name);
+  game.connect(name, roomSelect.value);
   game.lockPointer();
 }
 
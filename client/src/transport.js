@@ -0,0 +1,47 @@
+// ============================================
+// TRANSPORT - CONNECTION TO THE SERVER
+// ============================================
+// NetworkManager talks to any object with this shape:
+//   send(ArrayBuffer), close(), isOpen
+//   onOpen(), onMessage(ArrayBuffer), onClose(code, reason) callbacks
+// The server's LoopbackTransport provides one that runs a game in-process
+
+// The default: a browser WebSocket
+export class WebSocketTransport {
+  constructor(url) {
+    this.onOpen = null;
+    this.onMessage = null;
+    this.onClose = null;
+
+    this.ws = new WebSocket(url);
+    this.ws.binaryType = 'arraybuffer';
+
+    this.ws.onopen = () => {
+      if (this.onOpen) this.onOpen();
+    };
+
+    this.ws.onmessage = (event) => {
+      if (this.onMessage) this.onMessage(event.data);
+    };
+
+    this.ws.onclose = (event) => {
+      if (this.onClose) this.onClose(event.code, event.reason);
+    };
+
+    this.ws.onerror = (error) => {
+      console.error('[Network] Error:', error);
+    };
+  }
+
+  get isOpen() {
+    return this.ws.readyState === WebSocket.OPEN;
+  }
+
+  send(buffer) {
+    this.ws.send(buffer);
+  }
+
+  close() {
+    this.ws.close();
+  }
+}
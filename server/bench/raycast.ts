@@ -0,0 +1,174 @@
+// ============================================
+// BENCHMARK - SHOT RAYCASTS PER TICK
+// ============================================
+// 16 players firing SMGs across generated maps, timed against a linear scan of every
+// obstacle and the old 0.5-unit ray marcher. Run with: npm run bench -w server
+
+import {
+  GAME_CONSTANTS,
+  ObstacleGrid,
+  checkCollision,
+  generateObstacles,
+  getShotDirections,
+  getSurfaceHeight,
+  type Obstacle,
+  type Vec3
+} from '@shooter/shared';
+import { hasLineOfSight, raycast } from '../src/physics.js';
+
+const PLAYERS = 16;
+const TICKS = 2000;
+const MAPS = 5;
+const SMG = 1;
+
+// Narrow the [enter, exit] range to one axis's slab - false once it's empty
+function clip(range: [number, number], start: number, delta: number, min: number, max: number): boolean {
+  if (Math.abs(delta) < 1e-9) return start >= min && start <= max;
+  const t1 = (min - start) / delta;
+  const t2 = (max - start) / delta;
+  range[0] = Math.max(range[0], Math.min(t1, t2));
+  range[1] = Math.min(range[1], Math.max(t1, t2));
+  return range[0] <= range[1];
+}
+
+// Height of the ray above an obstacle's top at t
+function clearance(origin: Vec3, direction: Vec3, t: number, obs: Obstacle): number {
+  return origin.y + direction.y * t - getSurfaceHeight(obs, origin.x + direction.x * t, origin.z + direction.z * t);
+}
+
+// Baseline: exact slab test against every obstacle (ramps: where the ray drops below the slope)
+function raycastLinear(origin: Vec3, direction: Vec3, maxDistance: number, obstacles: Obstacle[]): number {
+  let best = maxDistance;
+  const range: [number, number] = [0, 0];
+  for (const obs of obstacles) {
+    range[0] = 0;
+    range[1] = best;
+    if (!clip(range, origin.x, direction.x, obs.x - obs.width / 2, obs.x + obs.width / 2) ||
+        !clip(range, origin.y, direction.y, 0, obs.height) ||
+        !clip(range, origin.z, direction.z, obs.z - obs.depth / 2, obs.z + obs.depth / 2)) {
+      continue;
+    }
+
+    const [enter, exit] = range;
+    const above = clearance(origin, direction, enter, obs);
+    const below = clearance(origin, direction, exit, obs);
+    if (above <= 1e-9) {
+      best = enter;
+    } else if (below <= 0) {
+      best = enter + (exit - enter) * above / (above - below);
+    }
+  }
+  return best;
+}
+
+// Baseline: the ray marcher physics.raycast used to be
+function raycastStepped(origin: Vec3, direction: Vec3, maxDistance: number, obstacles: Obstacle[]): number {
+  const step = 0.5;
+  const steps = Math.ceil(maxDistance / step);
+  let x = origin.x;
+  let y = origin.y;
+  let z = origin.z;
+
+  for (let i = 0; i < steps; i++) {
+    x += direction.x * step;
+    y += direction.y * step;
+    z += direction.z * step;
+    if (y < 0) return i * step;
+
+    for (const obs of obstacles) {
+      if (x >= obs.x - obs.width / 2 && x <= obs.x + obs.width / 2 &&
+          z >= obs.z - obs.depth / 2 && z <= obs.z + obs.depth / 2 &&
+          y >= 0 && y <= obs.height) {
+        return i * step;
+      }
+    }
+  }
+  return maxDistance;
+}
+
+interface Shooter {
+  eye: Vec3;
+  yaw: number;
+  pitch: number;
+}
+
+// Players standing clear of obstacles, aiming anywhere roughly level
+function placePlayers(grid: ObstacleGrid): Shooter[] {
+  const shooters: Shooter[] = [];
+  const halfMap = GAME_CONSTANTS.MAP_SIZE / 2 - 2;
+  while (shooters.length < PLAYERS) {
+    const x = (Math.random() - 0.5) * halfMap * 2;
+    const z = (Math.random() - 0.5) * halfMap * 2;
+    if (checkCollision(x, 0, z, GAME_CONSTANTS.PLAYER_RADIUS, GAME_CONSTANTS.PLAYER_HEIGHT, grid)) continue;
+    shooters.push({ eye: { x, y: GAME_CONSTANTS.PLAYER_HEIGHT - 0.1, z }, yaw: 0, pitch: 0 });
+  }
+  return shooters;
+}
+
+function run(): void {
+  const range = GAME_CONSTANTS.WEAPONS[SMG].range;
+  const time = { grid: 0, linear: 0, stepped: 0, lineOfSight: 0 };
+  let mismatches = 0;
+  let worstStepError = 0;
+  let visiblePairs = 0;
+
+  for (let map = 0; map < MAPS; map++) {
+    const obstacles = generateObstacles(Math.floor(Math.random() * 0x7fffffff));
+    const grid = new ObstacleGrid(obstacles);
+    const shooters = placePlayers(grid);
+
+    for (let tick = 0; tick < TICKS; tick++) {
+      // Every player fires this tick (an SMG really fires every 6th tick at 60 Hz - this is the worst case)
+      const rays: { origin: Vec3; direction: Vec3 }[] = [];
+      for (const shooter of shooters) {
+        shooter.yaw = Math.random() * Math.PI * 2;
+        shooter.pitch = (Math.random() - 0.5) * 0.6;
+        for (const direction of getShotDirections(shooter.yaw, shooter.pitch, SMG, map, tick)) {
+          rays.push({ origin: shooter.eye, direction });
+        }
+      }
+
+      let start = performance.now();
+      const distances = rays.map((ray) => raycast(ray.origin, ray.direction, range, grid).distance);
+      time.grid += performance.now() - start;
+
+      start = performance.now();
+      const exact = rays.map((ray) => {
+        // Ground, like raycast
+        const ground = ray.direction.y < 0 ? -ray.origin.y / ray.direction.y : range;
+        return raycastLinear(ray.origin, ray.direction, Math.min(range, ground), obstacles);
+      });
+      time.linear += performance.now() - start;
+
+      start = performance.now();
+      const stepped = rays.map((ray) => raycastStepped(ray.origin, ray.direction, range, obstacles));
+      time.stepped += performance.now() - start;
+
+      // Interest management: every pair, eye to eye
+      start = performance.now();
+      for (const viewer of shooters) {
+        for (const target of shooters) {
+          if (viewer !== target && hasLineOfSight(viewer.eye, target.eye, grid)) visiblePairs++;
+        }
+      }
+      time.lineOfSight += performance.now() - start;
+
+      for (let i = 0; i < rays.length; i++) {
+        if (Math.abs(distances[i] - exact[i]) > 1e-6) mismatches++;
+        worstStepError = Math.max(worstStepError, Math.abs(stepped[i] - exact[i]));
+      }
+    }
+  }
+
+  const ticks = TICKS * MAPS;
+  const perTick = (ms: number) => `${(ms / ticks * 1000).toFixed(1)} µs/tick`;
+  console.log(`${PLAYERS} players firing SMGs every tick, ${ticks} ticks over ${MAPS} maps`);
+  console.log(`  raycast (grid):       ${perTick(time.grid)}`);
+  console.log(`  linear slab scan:     ${perTick(time.linear)}`);
+  console.log(`  old 0.5-unit marcher: ${perTick(time.stepped)}`);
+  console.log(`  line of sight, ${PLAYERS * (PLAYERS - 1)} pairs: ${perTick(time.lineOfSight)} (${Math.round(visiblePairs / ticks)} visible)`);
+  console.log(`  tick budget:          ${(1000000 / GAME_CONSTANTS.TICK_RATE).toFixed(0)} µs`);
+  console.log(`Grid vs linear mismatches: ${mismatches}, old marcher worst error: ${worstStepError.toFixed(2)} units`);
+}
+
+run();
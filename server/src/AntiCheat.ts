@@ -0,0 +1,139 @@
+// ============================================
+// ANTI-CHEAT - MOVEMENT & AIM ANOMALY DETECTION
+// ============================================
+
+import { GAME_CONSTANTS, type InputData } from '@shooter/shared';
+import { logOffender } from './ConnectionGuard.js';
+import { CONFIG } from './config.js';
+import type { Player } from './Player.js';
+
+// Input timing: clients make TICK_RATE inputs per second of real time, so a surplus means a sped-up clock
+// (measured against the wall clock - the game loop's timer may run a little slow or fast)
+const INPUT_SURPLUS_LIMIT = 60;    // Extra inputs before a flag
+const INPUT_BURST_ALLOWANCE = 120; // Missing inputs a late burst may make up for (lag, not cheating)
+
+// Aim: turning faster than this and firing in the same input looks like an aimbot snap
+const SNAP_SPEED = 50;           // rad/s (~2900 deg/s)
+
+// Accuracy per weapon, over roughly the last 1 / (1 - SHOT_DECAY) bullets
+const SHOT_DECAY = 0.99;
+const MIN_SHOTS = 40;            // Bullets before the hit rate counts
+const MIN_HITS = 20;             // Hits before the headshot ratio counts
+const MAX_HIT_RATE = 0.9;
+const MAX_HEADSHOT_RATIO = 0.6;
+
+// Suspicion added per flag (decays by SCORE_DECAY per second)
+const FLAG_WEIGHT = {
+  INPUT_RATE: 5,
+  AIM_SNAP: 2,
+  HIT_RATE: 5,
+  HEADSHOT_RATIO: 5
+} as const;
+const SCORE_DECAY = 0.1;
+
+interface WeaponStats {
+  shots: number;
+  hits: number;
+  headshots: number;
+}
+
+// One per player: watches what their inputs and shots look like over time
+export class AntiCheat {
+  private readonly player: Player;
+
+  // Suspicion, decaying over time - above CONFIG.ANTICHEAT_KICK_SCORE the room kicks the player
+  private score: number = 0;
+  private lastFlagTime: number = 0;
+  kickRequested: boolean = false;
+
+  // Inputs received minus inputs due (clamped below, so lag can't bank credit forever)
+  private inputSurplus: number = 0;
+  private lastInputTime: number = 0; // 0 = no inputs yet
+
+  // Last applied aim (null until the first input)
+  private lastYaw: number | null = null;
+  private lastPitch: number = 0;
+
+  private weaponStats: WeaponStats[] = GAME_CONSTANTS.WEAPONS.map(() => ({ shots: 0, hits: 0, headshots: 0 }));
+
+  constructor(player: Player) {
+    this.player = player;
+  }
+
+  // Inputs with new sequence numbers arrived (queued or refused)
+  onInputsReceived(count: number, now: number): void {
+    if (this.lastInputTime > 0) {
+      const due = (now - this.lastInputTime) / 1000 * CONFIG.TICK_RATE;
+      this.inputSurplus = Math.max(this.inputSurplus - due, -INPUT_BURST_ALLOWANCE);
+    }
+    this.lastInputTime = now;
+
+    this.inputSurplus += count;
+    if (this.inputSurplus > INPUT_SURPLUS_LIMIT) {
+      this.flag(`input rate (${INPUT_SURPLUS_LIMIT} inputs ahead of the server)`, FLAG_WEIGHT.INPUT_RATE);
+      this.inputSurplus = 0;
+    }
+  }
+
+  // An input is about to be applied
+  onInput(input: InputData, deltaTime: number): void {
+    if (this.lastYaw !== null) {
+      const yawDelta = Math.atan2(Math.sin(input.yaw - this.lastYaw), Math.cos(input.yaw - this.lastYaw));
+      const pitchDelta = input.pitch - this.lastPitch;
+      const turn = Math.sqrt(yawDelta * yawDelta + pitchDelta * pitchDelta);
+
+      if (input.shoot && turn > SNAP_SPEED * deltaTime) {
+        this.flag(`aim snap (${Math.round(turn * 180 / Math.PI)} deg in one input while firing)`, FLAG_WEIGHT.AIM_SNAP);
+      }
+    }
+    this.lastYaw = input.yaw;
+    this.lastPitch = input.pitch;
+  }
+
+  // One bullet (or pellet) fired
+  onShot(weapon: number, hit: boolean, headshot: boolean): void {
+    const stats = this.weaponStats[weapon];
+    if (!stats) return;
+
+    stats.shots = stats.shots * SHOT_DECAY + 1;
+    stats.hits = stats.hits * SHOT_DECAY + (hit ? 1 : 0);
+    stats.headshots = stats.headshots * SHOT_DECAY + (headshot ? 1 : 0);
+
+    const { name, bulletCount } = GAME_CONSTANTS.WEAPONS[weapon];
+    const hitRate = stats.hits / stats.shots;
+    const headshotRatio = stats.hits > 0 ? stats.headshots / stats.hits : 0;
+
+    // Start over after a flag, so the next one needs fresh evidence
+    // (every shotgun pellet lands up close, so the hit rate only counts for single bullets)
+    if (bulletCount === 1 && stats.shots >= MIN_SHOTS && hitRate > MAX_HIT_RATE) {
+      this.flag(`hit rate ${Math.round(hitRate * 100)}% with the ${name}`, FLAG_WEIGHT.HIT_RATE);
+      stats.shots = stats.hits = stats.headshots = 0;
+    } else if (stats.hits >= MIN_HITS && headshotRatio > MAX_HEADSHOT_RATIO) {
+      this.flag(`headshot ratio ${Math.round(headshotRatio * 100)}% with the ${name}`, FLAG_WEIGHT.HEADSHOT_RATIO);
+      stats.shots = stats.hits = stats.headshots = 0;
+    }
+  }
+
+  // The player came back on a new connection - input timing and aim start over
+  reset(): void {
+    this.inputSurplus = 0;
+    this.lastInputTime = 0;
+    this.lastYaw = null;
+  }
+
+  // Logged for review; kicks are up to the room
+  private flag(reason: string, weight: number): void {
+    const now = Date.now();
+    this.score = Math.max(0, this.score - (now - this.lastFlagTime) / 1000 * SCORE_DECAY) + weight;
+    this.lastFlagTime = now;
+
+    const connection = this.player.connection;
+    if (connection) {
+      logOffender(connection.data.guard, `flagged: ${reason}, suspicion ${this.score.toFixed(1)}`);
+    }
+
+    if (CONFIG.ANTICHEAT_KICK_SCORE > 0 && this.score >= CONFIG.ANTICHEAT_KICK_SCORE) {
+      this.kickRequested = true;
+    }
+  }
+}
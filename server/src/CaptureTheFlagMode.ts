@@ -0,0 +1,211 @@
+// ============================================
+// CAPTURE THE FLAG GAME MODE
+// ============================================
+
+import { TeamGameMode } from './TeamGameMode.js';
+import type { GameModeOptions } from './GameMode.js';
+import { Player } from './Player.js';
+import { EntityType, FlagState, GAME_CONSTANTS, Team, checkCollision, type ObstacleGrid, type WorldEntity } from '@shooter/shared';
+
+const FLAG_RADIUS = 1.0;           // Touch distance (added to player radius)
+const FLAG_RETURN_TIME = 30000;    // Dropped flags return to base after 30s
+const CAPTURE_POINTS = 5;          // Personal score for a capture
+const DEFAULT_CAPTURE_LIMIT = 3;
+
+interface Flag extends WorldEntity {
+  baseX: number;
+  baseZ: number;
+  dropTime: number;
+}
+
+export class CaptureTheFlagMode extends TeamGameMode {
+  readonly name = 'Capture the Flag';
+  readonly description = 'Grab the enemy flag and bring it home!';
+  protected readonly tag = 'CTF';
+
+  // One flag per team, indexed by team id - 1
+  private flags: Flag[];
+  private flagsPlaced: boolean = false;
+
+  constructor(options?: GameModeOptions) {
+    super({ ...options, scoreLimit: options?.scoreLimit ?? DEFAULT_CAPTURE_LIMIT });
+    this.flags = [this.createFlag(Team.RED), this.createFlag(Team.BLUE)];
+  }
+
+  onPlayerJoin(player: Player, obstacles: ObstacleGrid): void {
+    if (!this.flagsPlaced) {
+      this.placeFlags(obstacles);
+    }
+    super.onPlayerJoin(player, obstacles);
+  }
+
+  onPlayerLeave(player: Player): void {
+    this.dropFlag(player);
+    super.onPlayerLeave(player);
+  }
+
+  // An idle carrier would hold the flag out of play until the grace time runs out
+  onPlayerIdle(player: Player): void {
+    this.dropFlag(player);
+  }
+
+  onPlayerKill(killer: Player, victim: Player, headshot: boolean): void {
+    if (killer.team === victim.team) {
+      console.log(`[CTF] ${killer.name} team-killed ${victim.name}`);
+      return;
+    }
+
+    killer.score += headshot ? 2 : 1;
+    killer.kills++;
+
+    console.log(`[CTF] ${killer.name} killed ${victim.name}${headshot ? ' (HEADSHOT)' : ''}`);
+  }
+
+  onPlayerDeath(player: Player, killerId: number | null): void {
+    this.dropFlag(player);
+    super.onPlayerDeath(player, killerId);
+  }
+
+  getEntities(): WorldEntity[] {
+    return this.flags;
+  }
+
+  reset(): void {
+    super.reset();
+    for (const flag of this.flags) {
+      this.returnFlag(flag);
+    }
+  }
+
+  tick(players: Map<number, Player>, deltaTime: number): void {
+    const now = Date.now();
+    const touchDist = GAME_CONSTANTS.PLAYER_RADIUS + FLAG_RADIUS;
+    const touchDistSq = touchDist * touchDist;
+
+    for (const flag of this.flags) {
+      if (flag.state === FlagState.CARRIED) {
+        // Carried flags follow their carrier
+        const carrier = players.get(flag.carrierId);
+        if (!carrier || carrier.isDead) {
+          this.returnFlag(flag);
+          continue;
+        }
+        flag.x = carrier.x;
+        flag.y = carrier.y;
+        flag.z = carrier.z;
+        continue;
+      }
+
+      if (flag.state === FlagState.DROPPED && now - flag.dropTime >= FLAG_RETURN_TIME) {
+        this.returnFlag(flag);
+        console.log(`[CTF] ${this.teamName(flag.team)} flag returned (timeout)`);
+        continue;
+      }
+
+      for (const player of players.values()) {
+        if (player.isDead || player.idleSince > 0 || player.team === Team.NONE) continue;
+
+        const dx = player.x - flag.x;
+        const dz = player.z - flag.z;
+        if (dx * dx + dz * dz > touchDistSq) continue;
+
+        if (player.team !== flag.team) {
+          // Enemy flag - pick it up
+          flag.state = FlagState.CARRIED;
+          flag.carrierId = player.id;
+          console.log(`[CTF] ${player.name} took the ${this.teamName(flag.team)} flag`);
+          break;
+        }
+
+        if (flag.state === FlagState.DROPPED) {
+          // Own dropped flag - send it home
+          this.returnFlag(flag);
+          console.log(`[CTF] ${player.name} returned the ${this.teamName(flag.team)} flag`);
+          break;
+        }
+      }
+    }
+
+    // Captures: carrier touches their own flag while it is at base
+    for (const enemyFlag of this.flags) {
+      if (enemyFlag.state !== FlagState.CARRIED) continue;
+
+      const carrier = players.get(enemyFlag.carrierId);
+      if (!carrier) continue;
+
+      const homeFlag = this.flags[carrier.team - 1];
+      if (homeFlag.state !== FlagState.AT_BASE) continue;
+
+      const dx = carrier.x - homeFlag.baseX;
+      const dz = carrier.z - homeFlag.baseZ;
+      if (dx * dx + dz * dz <= touchDistSq) {
+        this.teamScores[carrier.team - 1]++;
+        carrier.score += CAPTURE_POINTS;
+        this.returnFlag(enemyFlag);
+        console.log(`[CTF] ${carrier.name} captured the ${this.teamName(enemyFlag.team)} flag`);
+      }
+    }
+  }
+
+  private createFlag(team: number): Flag {
+    return {
+      id: team,
+      type: EntityType.FLAG,
+      state: FlagState.AT_BASE,
+      team,
+      carrierId: 0,
+      x: 0,
+      y: 0,
+      z: 0,
+      radius: FLAG_RADIUS,
+      progress: 0,
+      baseX: 0,
+      baseZ: 0,
+      dropTime: 0
+    };
+  }
+
+  // Put each flag deep on its team's side, stepping inward until clear of obstacles
+  private placeFlags(obstacles: ObstacleGrid): void {
+    const halfMap = GAME_CONSTANTS.MAP_SIZE / 2 - 3;
+
+    for (const flag of this.flags) {
+      const side = this.teamSide(flag.team);
+      let x = side * halfMap;
+
+      while (side * x > 0 &&
+        checkCollision(x, 0, 0, FLAG_RADIUS, GAME_CONSTANTS.PLAYER_HEIGHT, obstacles)) {
+        x -= side * 0.5;
+      }
+
+      flag.baseX = x;
+      flag.baseZ = 0;
+      this.returnFlag(flag);
+    }
+
+    this.flagsPlaced = true;
+  }
+
+  private dropFlag(player: Player): void {
+    for (const flag of this.flags) {
+      if (flag.state === FlagState.CARRIED && flag.carrierId === player.id) {
+        flag.state = FlagState.DROPPED;
+        flag.carrierId = 0;
+        flag.x = player.x;
+        flag.y = 0;
+        flag.z = player.z;
+        flag.dropTime = Date.now();
+        console.log(`[CTF] ${player.name} dropped the ${this.teamName(flag.team)} flag`);
+      }
+    }
+  }
+
+  private returnFlag(flag: Flag): void {
+    flag.state = FlagState.AT_BASE;
+    flag.carrierId = 0;
+    flag.x = flag.baseX;
+    flag.y = 0;
+    flag.z = flag.baseZ;
+    flag.dropTime = 0;
+  }
+}
@@ -0,0 +1,72 @@
+// ============================================
+// CONNECTION GUARD - RATE LIMITS & OFFENSES
+// ============================================
+
+import { appendFile } from 'node:fs';
+import { CONFIG } from './config.js';
+
+// How to treat a connection after an offense (the offending message is always dropped)
+export const Penalty = {
+  DROP: 0,
+  WARN: 1,   // Logged as an offender
+  KICK: 2
+} as const;
+
+const WARN_SCORE = 5;      // Offense score that gets a connection logged
+const KICK_SCORE = 20;     // Offense score that gets it disconnected
+const SCORE_DECAY = 1;     // Points forgiven per second
+
+// One per connection: counts messages and bad behaviour
+export class ConnectionGuard {
+  readonly address: string;
+  name: string = '';       // Set once the client has joined (for the log)
+
+  private windowStart: number = 0;
+  private messageCount: number = 0;
+  private score: number = 0;
+  private lastOffenseTime: number = 0;
+
+  constructor(address: string) {
+    this.address = address;
+  }
+
+  // False once the client goes over MAX_MESSAGES_PER_SECOND in the current second
+  allowMessage(now: number): boolean {
+    if (now - this.windowStart >= 1000) {
+      this.windowStart = now;
+      this.messageCount = 0;
+    }
+    return ++this.messageCount <= CONFIG.MAX_MESSAGES_PER_SECOND;
+  }
+
+  // Offenses add up and slowly decay - a stray bad packet is just dropped, a steady stream gets kicked
+  reportOffense(reason: string, now: number): number {
+    const previous = Math.max(0, this.score - (now - this.lastOffenseTime) / 1000 * SCORE_DECAY);
+    this.score = previous + 1;
+    this.lastOffenseTime = now;
+
+    if (this.score >= KICK_SCORE) {
+      logOffender(this, `kicked: ${reason}`);
+      return Penalty.KICK;
+    }
+    if (this.score >= WARN_SCORE) {
+      if (previous < WARN_SCORE) {
+        logOffender(this, `warned: ${reason}`);
+      }
+      return Penalty.WARN;
+    }
+    return Penalty.DROP;
+  }
+}
+
+// Offenders go to the console, and to OFFENDER_LOG (if set) for later review
+export function logOffender(guard: ConnectionGuard, action: string): void {
+  const line = `${new Date().toISOString()} ${guard.address} "${guard.name}" ${action}`;
+  console.warn(`[Guard] ${line}`);
+
+  if (CONFIG.OFFENDER_LOG) {
+    appendFile(CONFIG.OFFENDER_LOG, line + '\n', (error) => {
+      if (error) console.error('[Guard] Could not write offender log:', error.message);
+    });
+  }
+}
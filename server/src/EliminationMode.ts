@@ -0,0 +1,184 @@
+// ============================================
+// ELIMINATION (LAST MAN STANDING) GAME MODE
+// ============================================
+
+import { GameMode } from './GameMode.js';
+import { Player } from './Player.js';
+import { DeathReason, EntityType, GAME_CONSTANTS, MatchPhase, Team, type ObstacleGrid, type WorldEntity } from '@shooter/shared';
+
+const START_RADIUS = GAME_CONSTANTS.MAP_SIZE * 0.75; // Covers the corners
+const END_RADIUS = 3;
+const SHRINK_DELAY = 10000;   // Grace period before the zone starts closing
+const SHRINK_TIME = 90000;    // Time to close from start to end radius
+const ZONE_DPS = 10;          // Damage per second outside the zone
+
+export class EliminationMode extends GameMode {
+  readonly name = 'Elimination';
+  readonly description = 'No respawns. Stay inside the zone and be the last one standing!';
+
+  private safeZone: WorldEntity = {
+    id: 1,
+    type: EntityType.SAFE_ZONE,
+    state: 0,
+    team: Team.NONE,
+    carrierId: 0,
+    x: 0,
+    y: 0,
+    z: 0,
+    radius: START_RADIUS,
+    progress: 0
+  };
+  private zoneEntities: WorldEntity[] = [this.safeZone];
+
+  // 0 outside a live round (warmup plays like deathmatch)
+  private roundStartTime: number = 0;
+  private roundOver: boolean = false;
+
+  onPlayerJoin(player: Player, obstacles: ObstacleGrid): void {
+    player.spawn(obstacles);
+
+    // Late joiners spectate until the next round
+    if (this.roundStartTime > 0) {
+      this.makeSpectator(player);
+    }
+
+    console.log(`[Elim] ${player.name} joined the game`);
+  }
+
+  onPlayerLeave(player: Player): void {
+    console.log(`[Elim] ${player.name} left the game`);
+  }
+
+  onPlayerKill(killer: Player, victim: Player, headshot: boolean): void {
+    killer.score += headshot ? 2 : 1;
+    killer.kills++;
+
+    console.log(`[Elim] ${killer.name} eliminated ${victim.name}${headshot ? ' (HEADSHOT)' : ''}`);
+  }
+
+  onPlayerDeath(player: Player, killerId: number | null): void {
+    // No respawn during a round - spectate until it ends
+    player.respawnTime = this.roundStartTime > 0 ? 0 : Date.now() + this.respawnDelay;
+  }
+
+  onPhaseChange(phase: number, players: Map<number, Player>): void {
+    if (phase === MatchPhase.LIVE) {
+      this.startRound();
+    } else if (phase === MatchPhase.WARMUP) {
+      // Back to free play - bring spectators back
+      this.roundStartTime = 0;
+      this.resetZone();
+      for (const player of players.values()) {
+        if (player.isDead && player.respawnTime === 0) {
+          player.respawnTime = Date.now();
+        }
+      }
+    }
+  }
+
+  // The room's intermission doubles as the break between rounds
+  shouldEndGame(players: Map<number, Player>): boolean {
+    return this.roundOver;
+  }
+
+  getWinners(players: Map<number, Player>): Player[] {
+    const survivors = Array.from(players.values()).filter(p => !p.isDead && p.idleSince === 0);
+    if (survivors.length > 0) return survivors;
+
+    // Everyone died at once - best score wins
+    let maxScore = -1;
+    const winners: Player[] = [];
+    for (const player of players.values()) {
+      if (player.score > maxScore) {
+        maxScore = player.score;
+        winners.length = 0;
+        winners.push(player);
+      } else if (player.score === maxScore) {
+        winners.push(player);
+      }
+    }
+    return winners;
+  }
+
+  getSpawnPosition(player: Player, obstacles: ObstacleGrid): { x: number; y: number; z: number } {
+    const halfMap = GAME_CONSTANTS.MAP_SIZE / 2 - 2;
+    return this.findSpawnPoint(obstacles, () => ({
+      x: (Math.random() - 0.5) * halfMap * 2,
+      z: (Math.random() - 0.5) * halfMap * 2
+    }));
+  }
+
+  getEntities(): WorldEntity[] {
+    return this.zoneEntities;
+  }
+
+  reset(): void {
+    this.roundStartTime = 0;
+    this.roundOver = false;
+    this.resetZone();
+  }
+
+  tick(players: Map<number, Player>, deltaTime: number): void {
+    const now = Date.now();
+
+    // Outside a round the zone stays open
+    if (this.roundStartTime === 0 || this.roundOver) return;
+
+    // Shrink the zone
+    const elapsed = now - this.roundStartTime - SHRINK_DELAY;
+    const progress = Math.max(0, Math.min(1, elapsed / SHRINK_TIME));
+    this.safeZone.progress = progress;
+    this.safeZone.radius = START_RADIUS + (END_RADIUS - START_RADIUS) * progress;
+
+    // Damage everyone outside it (idle players are out of the round: not hurt, not counted)
+    const radiusSq = this.safeZone.radius * this.safeZone.radius;
+    let alive = 0;
+
+    for (const player of players.values()) {
+      if (player.isDead || player.idleSince > 0) continue;
+
+      const dx = player.x - this.safeZone.x;
+      const dz = player.z - this.safeZone.z;
+      if (dx * dx + dz * dz > radiusSq) {
+        if (player.takeDamage(ZONE_DPS * deltaTime, 0)) {
+          this.onPlayerDeath(player, null);
+          this.onModeDeath?.(player, DeathReason.ZONE);
+          console.log(`[Elim] ${player.name} was caught outside the zone`);
+          continue;
+        }
+      }
+      alive++;
+    }
+
+    if (alive <= 1) {
+      this.roundOver = true;
+      console.log('[Elim] Round over');
+    }
+  }
+
+  private startRound(): void {
+    this.roundStartTime = Date.now();
+    this.roundOver = false;
+    this.resetZone();
+
+    // Close in on a random point near the middle
+    const spread = GAME_CONSTANTS.MAP_SIZE / 4;
+    this.safeZone.x = (Math.random() - 0.5) * spread;
+    this.safeZone.z = (Math.random() - 0.5) * spread;
+
+    console.log('[Elim] Round started');
+  }
+
+  private resetZone(): void {
+    this.safeZone.x = 0;
+    this.safeZone.z = 0;
+    this.safeZone.radius = START_RADIUS;
+    this.safeZone.progress = 0;
+  }
+
+  private makeSpectator(player: Player): void {
+    player.health = 0;
+    player.isDead = true;
+    player.respawnTime = 0;
+  }
+}
@@ -2,28 +2,27 @@
 // FREE FOR ALL (DEATHMATCH) GAME MODE
 // ============================================
 
-import { GameMode } from './GameMode.js';
+import { GameMode, type GameModeOptions } from './GameMode.js';
 import { Player } from './Player.js';
-import type { Obstacle } from './physics.js';
-import { GAME_CONSTANTS } from '@shooter/shared';
+import { GAME_CONSTANTS, type ObstacleGrid } from '@shooter/shared';
 
 export class FreeForAllMode extends GameMode {
-  readonly name = 'Free For All';
-  readonly description = 'Every player for themselves. Most kills wins!';
+  readonly name: string = 'Free For All';
+  readonly description: string = 'Every player for themselves. Most kills wins!';
   
   // Optional: score limit to end game
   private scoreLimit: number = 0; // 0 = no limit
   private timeLimit: number = 0;  // 0 = no limit (in ms)
   private startTime: number = 0;
   
-  constructor(options?: { scoreLimit?: number; timeLimit?: number }) {
-    super();
+  constructor(options?: GameModeOptions) {
+    super(options);
     if (options?.scoreLimit) this.scoreLimit = options.scoreLimit;
     if (options?.timeLimit) this.timeLimit = options.timeLimit;
     this.startTime = Date.now();
   }
   
-  onPlayerJoin(player: Player, obstacles: Obstacle[]): void {
+  onPlayerJoin(player: Player, obstacles: ObstacleGrid): void {
     // Spawn player at random position
     player.spawn(obstacles);
     console.log(`[FFA] ${player.name} joined the game`);
@@ -43,7 +42,7 @@ export class FreeForAllMode extends GameMode {
   
   onPlayerDeath(player: Player, killerId: number | null): void {
     // Set respawn timer
-    player.respawnTime = Date.now() + GAME_CONSTANTS.RESPAWN_TIME;
+    player.respawnTime = Date.now() + this.respawnDelay;
   }
   
   shouldEndGame(players: Map<number, Player>): boolean {
@@ -83,24 +82,28 @@ export class FreeForAllMode extends GameMode {
     return winners;
   }
   
-  getSpawnPosition(player: Player, obstacles: Obstacle[]): { x: number; y: number; z: number } {
+  getSpawnPosition(player: Player, obstacles: ObstacleGrid): { x: number; y: number; z: number } {
     const mapSize = GAME_CONSTANTS.MAP_SIZE;
     const halfMap = mapSize / 2 - 2;
     
     // Find position away from other players if possible
     // For now, just random position
-    return {
+    return this.findSpawnPoint(obstacles, () => ({
       x: (Math.random() - 0.5) * halfMap * 2,
-      y: 0,
       z: (Math.random() - 0.5) * halfMap * 2
-    };
+    }));
   }
   
+  reset(): void {
+    this.startTime = Date.now();
+  }
+
   tick(players: Map<number, Player>, deltaTime: number): void {
     const now = Date.now();
     
     // Handle respawns
     for (const player of players.values()) {
+      if (player.idleSince > 0) continue;
       if (player.isDead && player.respawnTime > 0 && now >= player.respawnTime) {
         player.respawnTime = 0;
         // Will be respawned by Room
@@ -3,19 +3,41 @@
 // ============================================
 
 import { Player } from './Player.js';
-import type { Obstacle } from './physics.js';
-import type { HitEvent } from '@shooter/shared';
+import { GAME_CONSTANTS, checkCollision, getGroundHeight, type HitEvent, type ObstacleGrid, type WorldEntity } from '@shooter/shared';
+
+const SPAWN_ATTEMPTS = 20;
+
+// Rules passed in from the room settings
+export interface GameModeOptions {
+  scoreLimit?: number;    // 0 = no limit
+  timeLimit?: number;     // In ms (0 = no limit)
+  friendlyFire?: number;  // Damage scale between teammates (team modes, 0 = off)
+  respawnDelay?: number;  // In ms
+}
 
 // Game mode interface - extend this to create new modes
 export abstract class GameMode {
   abstract readonly name: string;
   abstract readonly description: string;
+
+  // Time between death and respawn
+  protected respawnDelay: number = GAME_CONSTANTS.RESPAWN_TIME;
+
+  // Set by the room - modes report deaths they cause themselves (e.g. zone damage)
+  onModeDeath: ((player: Player, reason: number) => void) | null = null;
+
+  constructor(options?: GameModeOptions) {
+    if (options?.respawnDelay !== undefined) this.respawnDelay = options.respawnDelay;
+  }
   
   // Called when a player joins the game
-  abstract onPlayerJoin(player: Player, obstacles: Obstacle[]): void;
+  abstract onPlayerJoin(player: Player, obstacles: ObstacleGrid): void;
   
   // Called when a player leaves
   abstract onPlayerLeave(player: Player): void;
+
+  // Called when a player's socket drops - they stay in the room, idle, and may resume later
+  onPlayerIdle(player: Player): void {}
   
   // Called when a player kills another
   abstract onPlayerKill(killer: Player, victim: Player, headshot: boolean): void;
@@ -30,8 +52,43 @@ export abstract class GameMode {
   abstract getWinners(players: Map<number, Player>): Player[];
   
   // Get spawn position for player
-  abstract getSpawnPosition(player: Player, obstacles: Obstacle[]): { x: number; y: number; z: number };
+  abstract getSpawnPosition(player: Player, obstacles: ObstacleGrid): { x: number; y: number; z: number };
   
   // Process game-mode specific logic per tick
   abstract tick(players: Map<number, Player>, deltaTime: number): void;
+
+  // Damage multiplier for a hit between two players (0 = no damage, shot passes through)
+  getDamageScale(shooter: Player, target: Player): number {
+    return 1;
+  }
+
+  // Team scores for the snapshot, indexed by team id - 1 (empty for modes without teams)
+  getTeamScores(): number[] {
+    return [];
+  }
+
+  // Mode-specific world entities for the snapshot (flags, zones, ...)
+  getEntities(): WorldEntity[] {
+    return [];
+  }
+
+  // Called when a new match goes live, after scores are cleared
+  reset(): void {}
+
+  // Called whenever the room's match phase changes (MatchPhase)
+  onPhaseChange(phase: number, players: Map<number, Player>): void {}
+
+  // Spawn point from a random picker, kept out of obstacles - retries for open floor,
+  // and failing that stands the player on top of whatever the last pick landed in
+  protected findSpawnPoint(obstacles: ObstacleGrid, pick: () => { x: number; z: number }): { x: number; y: number; z: number } {
+    const radius = GAME_CONSTANTS.PLAYER_RADIUS;
+    let point = pick();
+    for (let attempt = 1; attempt < SPAWN_ATTEMPTS; attempt++) {
+      if (!checkCollision(point.x, 0, point.z, radius, GAME_CONSTANTS.PLAYER_HEIGHT, obstacles)) {
+        return { x: point.x, y: 0, z: point.z };
+      }
+      point = pick();
+    }
+    return { x: point.x, y: getGroundHeight(point.x, point.z, radius, Infinity, obstacles), z: point.z };
+  }
 }
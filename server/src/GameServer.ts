@@ -0,0 +1,273 @@
+// ============================================
+// GAME SERVER - ROOMS & CLIENT MESSAGES
+// ============================================
+// Transport-agnostic: index.ts feeds it WebSocket connections, LoopbackTransport in-process ones
+
+import {
+  ClientMessageType,
+  PROTOCOL_VERSION,
+  RejectReason,
+  SUPPORTED_FEATURES,
+  type RoomSettings
+} from '@shooter/shared';
+import {
+  decodeInputs,
+  decodeJoinRequest,
+  decodePing,
+  decodeSnapshotAck,
+  encodePong,
+  encodeReject,
+  getMessageType
+} from './protocol.js';
+import { Room } from './Room.js';
+import type { Player } from './Player.js';
+import { resolveRoomSettings } from './roomSettings.js';
+import { ConnectionGuard, Penalty } from './ConnectionGuard.js';
+import { sanitizeName, sanitizeRoomId, validateClientMessage, validateInput } from './validation.js';
+import { CLOSE_REJECTED, type Connection } from './transport.js';
+
+export class GameServer {
+  private rooms: Map<string, Room> = new Map();
+
+  // Rooms created from config stay up when empty
+  private persistentRooms: Set<string> = new Set();
+
+  // Auto-created rooms are numbered in order (never reused - a live room may still hold an old number)
+  private nextRoomNumber: number = 1;
+
+  // Create a room that stays up even when empty
+  addPersistentRoom(roomId: string, playlist: RoomSettings[]): Room {
+    this.persistentRooms.add(roomId);
+    return this.getOrCreateRoom(roomId, playlist);
+  }
+
+  // New connection
+  open(connection: Connection): void {
+    connection.data = {
+      playerId: 0,
+      roomId: '',
+      guard: new ConnectionGuard(connection.remoteAddress),
+      rejected: false
+    };
+  }
+
+  // Message received (the buffer must stay valid - transports copy borrowed ones)
+  message(connection: Connection, buffer: ArrayBuffer, isBinary: boolean): void {
+    const receivedAt = Date.now();
+    const data = connection.data;
+
+    // Already turned away - whatever it still had in flight is ignored
+    if (data.rejected) return;
+
+    if (!data.guard.allowMessage(receivedAt)) {
+      this.reportOffense(connection, 'message rate limit');
+      return;
+    }
+    if (!isBinary) {
+      this.reportOffense(connection, 'text message');
+      return;
+    }
+
+    // Nothing gets decoded unless its layout checks out
+    const problem = validateClientMessage(buffer);
+    if (problem) {
+      this.reportOffense(connection, problem);
+      return;
+    }
+
+    const messageType = getMessageType(buffer);
+    const joined = data.playerId !== 0 && data.roomId !== '';
+
+    switch (messageType) {
+      case ClientMessageType.JOIN: {
+        if (joined) {
+          this.reportOffense(connection, 'second JOIN');
+          return;
+        }
+
+        const request = decodeJoinRequest(buffer);
+        if (request.protocolVersion !== PROTOCOL_VERSION) {
+          this.rejectClient(connection, RejectReason.VERSION_MISMATCH, request.protocolVersion < PROTOCOL_VERSION ?
+            'Your game client is out of date. Reload the page to update.' :
+            'The server is running an older version. Try again later.');
+          return;
+        }
+
+        // Only features both sides support are turned on
+        const features = request.features & SUPPORTED_FEATURES;
+
+        // Back after a dropped connection - same player, if the grace time hasn't run out
+        const resumed = request.sessionToken ? this.resumeSession(request.sessionToken, connection, features) : null;
+        if (resumed) {
+          data.guard.name = resumed.name;
+          console.log(`[WS] ${resumed.name} resumed in room ${data.roomId} as player ${resumed.id}`);
+          break;
+        }
+
+        const name = sanitizeName(request.name);
+        const room = this.findAvailableRoom(sanitizeRoomId(request.roomId));
+        const player = room.addPlayer(name, connection, features);
+
+        // The room sends the welcome and player list itself
+        if (player) {
+          data.guard.name = name;
+          console.log(`[WS] ${name} joined room ${room.id} as player ${player.id}`);
+        } else {
+          this.rejectClient(connection, RejectReason.ROOM_FULL, `Room ${room.id} is full.`);
+        }
+        break;
+      }
+
+      case ClientMessageType.INPUT: {
+        if (!joined) {
+          this.reportOffense(connection, 'INPUT before JOIN');
+          return;
+        }
+
+        // Drop bad inputs one by one - the rest of the packet is still good
+        const inputs = decodeInputs(buffer);
+        for (let i = inputs.length - 1; i >= 0; i--) {
+          const invalid = validateInput(inputs[i]);
+          if (invalid) {
+            inputs.splice(i, 1);
+            this.reportOffense(connection, invalid);
+          }
+        }
+
+        this.rooms.get(data.roomId)?.processInputs(data.playerId, inputs);
+        break;
+      }
+
+      case ClientMessageType.SNAPSHOT_ACK: {
+        if (!joined) {
+          this.reportOffense(connection, 'SNAPSHOT_ACK before JOIN');
+          return;
+        }
+
+        const room = this.rooms.get(data.roomId);
+        if (room) {
+          room.acknowledgeSnapshot(data.playerId, decodeSnapshotAck(buffer));
+        }
+        break;
+      }
+
+      case ClientMessageType.PING: {
+        // Reply for latency measurement and clock sync
+        connection.send(encodePong({
+          clientTime: decodePing(buffer),
+          serverReceiveTime: receivedAt,
+          serverSendTime: Date.now()
+        }));
+        break;
+      }
+    }
+  }
+
+  // Connection closed
+  close(connection: Connection): void {
+    const data = connection.data;
+    if (data.playerId && data.roomId) {
+      const room = this.rooms.get(data.roomId);
+      if (room) {
+        // Kept idle for a while - the client may reconnect
+        room.disconnectPlayer(data.playerId);
+        console.log(`[WS] Player ${data.playerId} disconnected from ${data.roomId}`);
+      }
+    }
+  }
+
+  // Stop every game loop
+  stop(): void {
+    for (const room of this.rooms.values()) {
+      room.stop();
+    }
+  }
+
+  getRooms(): Room[] {
+    return Array.from(this.rooms.values());
+  }
+
+  get roomCount(): number {
+    return this.rooms.size;
+  }
+
+  get playerCount(): number {
+    let count = 0;
+    for (const room of this.rooms.values()) {
+      count += room.playerCount;
+    }
+    return count;
+  }
+
+  // Get or create a room
+  private getOrCreateRoom(roomId: string, playlist: RoomSettings[] = [resolveRoomSettings()]): Room {
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      const created = new Room(roomId, playlist);
+      this.rooms.set(roomId, created);
+
+      // Clean up empty rooms (except configured ones)
+      created.onEmpty = () => {
+        if (!this.persistentRooms.has(roomId)) {
+          this.rooms.delete(roomId);
+          console.log(`[WS] Room ${roomId} removed (empty)`);
+        }
+      };
+      room = created;
+    }
+    return room;
+  }
+
+  // Find available room (the requested one if it exists and has space)
+  private findAvailableRoom(preferredId: string = ''): Room {
+    const preferred = preferredId ? this.rooms.get(preferredId) : undefined;
+    if (preferred && !preferred.isFull) {
+      return preferred;
+    }
+
+    for (const room of this.rooms.values()) {
+      if (!room.isFull) {
+        return room;
+      }
+    }
+    // Create new room (skipping ids a configured room already uses)
+    let newId: string;
+    do {
+      newId = `room_${this.nextRoomNumber++}`;
+    } while (this.rooms.has(newId));
+    return this.getOrCreateRoom(newId);
+  }
+
+  // Reattach a reconnecting client to the player its session token belongs to
+  private resumeSession(sessionToken: string, connection: Connection, features: number): Player | null {
+    for (const room of this.rooms.values()) {
+      const player = room.resumePlayer(sessionToken, connection, features);
+      if (player) return player;
+    }
+    return null;
+  }
+
+  // Tell a client why it can't join (or is being kicked), then hang up
+  // The close reason repeats the message for clients too old to read REJECT
+  private rejectClient(connection: Connection, reason: number, message: string): void {
+    const data = connection.data;
+    console.log(`[WS] Rejected ${data.guard.address}: ${message}`);
+    data.rejected = true;
+
+    // A kicked player doesn't get to resume
+    if (data.playerId) {
+      this.rooms.get(data.roomId)?.removePlayer(data.playerId);
+      data.playerId = 0;
+    }
+
+    connection.send(encodeReject({ reason, message }));
+    connection.end(CLOSE_REJECTED, message);
+  }
+
+  // The offending message is dropped by the caller - repeat offenders get kicked
+  private reportOffense(connection: Connection, reason: string): void {
+    if (connection.data.guard.reportOffense(reason, Date.now()) === Penalty.KICK) {
+      this.rejectClient(connection, RejectReason.KICKED, 'Disconnected for sending invalid data.');
+    }
+  }
+}
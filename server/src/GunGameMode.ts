@@ -0,0 +1,77 @@
+// ============================================
+// GUN GAME (WEAPON PROGRESSION) GAME MODE
+// ============================================
+
+import { FreeForAllMode } from './FreeForAllMode.js';
+import { Player } from './Player.js';
+import type { ObstacleGrid } from '@shooter/shared';
+
+// Weapon indices into GAME_CONSTANTS.WEAPONS, in the order players work through them
+const WEAPON_LADDER = [2, 1, 3, 0]; // Rifle -> SMG -> Shotgun -> Pistol
+
+export class GunGameMode extends FreeForAllMode {
+  readonly name = 'Gun Game';
+  readonly description = 'Every kill upgrades your weapon. First kill with the last gun wins!';
+
+  // Ladder position per player id
+  private levels: Map<number, number> = new Map();
+  private winner: Player | null = null;
+
+  onPlayerJoin(player: Player, obstacles: ObstacleGrid): void {
+    player.spawn(obstacles);
+    this.setLevel(player, 0);
+    console.log(`[GunGame] ${player.name} joined the game`);
+  }
+
+  onPlayerLeave(player: Player): void {
+    this.levels.delete(player.id);
+    console.log(`[GunGame] ${player.name} left the game`);
+  }
+
+  onPlayerKill(killer: Player, victim: Player, headshot: boolean): void {
+    killer.kills++;
+
+    const level = this.levels.get(killer.id) ?? 0;
+    if (level === WEAPON_LADDER.length - 1) {
+      this.winner = killer;
+      console.log(`[GunGame] ${killer.name} won with the final weapon`);
+      return;
+    }
+
+    this.setLevel(killer, level + 1);
+    console.log(`[GunGame] ${killer.name} killed ${victim.name}, now on level ${level + 2}/${WEAPON_LADDER.length}`);
+  }
+
+  shouldEndGame(players: Map<number, Player>): boolean {
+    return this.winner !== null || super.shouldEndGame(players);
+  }
+
+  getWinners(players: Map<number, Player>): Player[] {
+    if (this.winner) return [this.winner];
+
+    // Time limit hit - highest level wins (ties share it)
+    return super.getWinners(players);
+  }
+
+  reset(): void {
+    super.reset();
+    this.levels.clear();
+    this.winner = null;
+  }
+
+  tick(players: Map<number, Player>, deltaTime: number): void {
+    super.tick(players, deltaTime);
+
+    // Keep every player on their ladder weapon (also re-arms players after a reset)
+    for (const player of players.values()) {
+      this.setLevel(player, this.levels.get(player.id) ?? 0);
+    }
+  }
+
+  private setLevel(player: Player, level: number): void {
+    this.levels.set(player.id, level);
+    player.weapon = WEAPON_LADDER[level];
+    player.weaponLocked = true;
+    player.score = level;
+  }
+}
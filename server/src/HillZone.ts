@@ -0,0 +1,148 @@
+// ============================================
+// HILL ZONE - CAPTURE, CONTEST AND SCORING
+// ============================================
+// The zone King of the Hill is played over. Whoever stands in it alone captures it over a
+// few seconds, then scores for as long as nobody else comes in. Owners are team ids in the
+// team mode and player ids in the free-for-all one - the zone only compares them.
+
+import { EntityType, GAME_CONSTANTS, Team, ZoneState, type WorldEntity } from '@shooter/shared';
+import type { Player } from './Player.js';
+
+const ZONE_RADIUS = 4;
+const ZONE_ID = 1;
+const CAPTURE_TIME = 3;            // Seconds to capture a neutral zone
+const POINTS_PER_SECOND = 1;       // While holding the zone alone
+const ZONE_MOVE_INTERVAL = 60000;  // Zone relocates every minute
+
+export class HillZone {
+  private readonly entity: WorldEntity = {
+    id: ZONE_ID,
+    type: EntityType.ZONE,
+    state: ZoneState.NEUTRAL,
+    team: Team.NONE,
+    carrierId: 0,
+    x: 0,
+    y: 0,
+    z: 0,
+    radius: ZONE_RADIUS,
+    progress: 0
+  };
+  readonly entities: WorldEntity[] = [this.entity];
+
+  // Player-owned zones put the owner in carrierId, team-owned ones in team
+  private readonly ownedByPlayer: boolean;
+  private owner: number = 0; // 0 = neutral
+  capturedBy: number = 0;    // Owner that finished capturing on the last update (0 = none)
+  private lastMoveTime: number;
+
+  // Fractional hold time per owner (scores get the whole points)
+  private holdPoints: Map<number, number> = new Map();
+
+  constructor(ownedByPlayer: boolean) {
+    this.ownedByPlayer = ownedByPlayer;
+    this.lastMoveTime = Date.now();
+  }
+
+  get x(): number {
+    return this.entity.x;
+  }
+
+  get z(): number {
+    return this.entity.z;
+  }
+
+  // Alive, connected and standing inside
+  contains(player: Player): boolean {
+    if (player.isDead || player.idleSince > 0) return false;
+    const dx = player.x - this.entity.x;
+    const dz = player.z - this.entity.z;
+    return dx * dx + dz * dz <= this.entity.radius * this.entity.radius;
+  }
+
+  // Advance capture by one tick, given the owners with someone inside
+  // Returns the owner holding it alone this tick (it scores), or 0
+  update(inside: Set<number>, deltaTime: number): number {
+    const zone = this.entity;
+    const captureStep = deltaTime / CAPTURE_TIME;
+    this.capturedBy = 0;
+
+    if (inside.size > 1) {
+      // Contested - nothing moves
+      zone.state = ZoneState.CONTESTED;
+      return 0;
+    }
+
+    if (inside.size === 0) {
+      // Unheld progress decays back to neutral
+      if (zone.progress < 1) {
+        zone.progress = Math.max(0, zone.progress - captureStep);
+        if (zone.progress === 0) this.setOwner(0);
+      }
+      zone.state = zone.progress >= 1 ? ZoneState.HELD :
+        zone.progress > 0 ? ZoneState.CAPTURING : ZoneState.NEUTRAL;
+      return 0;
+    }
+
+    const claimant: number = inside.values().next().value!;
+
+    if (this.owner !== claimant && this.owner !== 0) {
+      // Neutralize the other owner's progress first
+      zone.progress = Math.max(0, zone.progress - captureStep);
+      zone.state = ZoneState.CAPTURING;
+      if (zone.progress === 0) this.setOwner(claimant);
+      return 0;
+    }
+
+    this.setOwner(claimant);
+    if (zone.progress < 1) {
+      zone.progress = Math.min(1, zone.progress + captureStep);
+      zone.state = ZoneState.CAPTURING;
+      if (zone.progress === 1) this.capturedBy = claimant;
+      return 0;
+    }
+
+    // Held and uncontested - score
+    zone.state = ZoneState.HELD;
+    return claimant;
+  }
+
+  // Whole points an owner earned by holding for deltaTime
+  score(owner: number, deltaTime: number): number {
+    const before = this.holdPoints.get(owner) ?? 0;
+    const after = before + POINTS_PER_SECOND * deltaTime;
+    this.holdPoints.set(owner, after);
+    return Math.floor(after) - Math.floor(before);
+  }
+
+  // Relocate on a timer - true if it moved
+  relocateIfDue(now: number): boolean {
+    if (now - this.lastMoveTime < ZONE_MOVE_INTERVAL) return false;
+    const halfMap = GAME_CONSTANTS.MAP_SIZE / 2 - ZONE_RADIUS - 2;
+    this.moveTo((Math.random() - 0.5) * halfMap * 2, (Math.random() - 0.5) * halfMap * 2);
+    return true;
+  }
+
+  // New match: back to the middle, nobody's points
+  reset(): void {
+    this.holdPoints.clear();
+    this.moveTo(0, 0);
+  }
+
+  private moveTo(x: number, z: number): void {
+    this.entity.x = x;
+    this.entity.z = z;
+    this.entity.state = ZoneState.NEUTRAL;
+    this.entity.progress = 0;
+    this.setOwner(0);
+    this.lastMoveTime = Date.now();
+  }
+
+  private setOwner(owner: number): void {
+    this.owner = owner;
+    if (this.ownedByPlayer) {
+      this.entity.carrierId = owner;
+    } else {
+      this.entity.team = owner;
+    }
+  }
+}
@@ -0,0 +1,78 @@
+// ============================================
+// KING OF THE HILL (FREE FOR ALL) GAME MODE
+// ============================================
+
+import { FreeForAllMode } from './FreeForAllMode.js';
+import type { GameModeOptions } from './GameMode.js';
+import { HillZone } from './HillZone.js';
+import { Player } from './Player.js';
+import type { ObstacleGrid, WorldEntity } from '@shooter/shared';
+
+const DEFAULT_SCORE_LIMIT = 100;
+
+// No teams: the zone belongs to one player at a time, and only hill time scores
+export class KingOfTheHillFfaMode extends FreeForAllMode {
+  readonly name = 'King of the Hill FFA';
+  readonly description = 'Every player for themselves. Hold the zone alone to score!';
+
+  private zone: HillZone = new HillZone(true);
+
+  // Reused per tick
+  private playersInside: Set<number> = new Set();
+
+  constructor(options?: GameModeOptions) {
+    super({ ...options, scoreLimit: options?.scoreLimit ?? DEFAULT_SCORE_LIMIT });
+  }
+
+  onPlayerJoin(player: Player, obstacles: ObstacleGrid): void {
+    player.spawn(obstacles);
+    console.log(`[KOTH] ${player.name} joined the game`);
+  }
+
+  onPlayerLeave(player: Player): void {
+    console.log(`[KOTH] ${player.name} left the game`);
+  }
+
+  // Kills are counted, but the score limit is about the hill
+  onPlayerKill(killer: Player, victim: Player, headshot: boolean): void {
+    killer.kills++;
+    console.log(`[KOTH] ${killer.name} killed ${victim.name}${headshot ? ' (HEADSHOT)' : ''}`);
+  }
+
+  getEntities(): WorldEntity[] {
+    return this.zone.entities;
+  }
+
+  reset(): void {
+    super.reset();
+    this.zone.reset();
+  }
+
+  tick(players: Map<number, Player>, deltaTime: number): void {
+    super.tick(players, deltaTime);
+
+    if (this.zone.relocateIfDue(Date.now())) {
+      console.log(`[KOTH] Zone moved to (${this.zone.x.toFixed(1)}, ${this.zone.z.toFixed(1)})`);
+    }
+
+    // Who is standing inside?
+    this.playersInside.clear();
+    for (const player of players.values()) {
+      if (this.zone.contains(player)) {
+        this.playersInside.add(player.id);
+      }
+    }
+
+    const ownerId = this.zone.update(this.playersInside, deltaTime);
+    const captor = players.get(this.zone.capturedBy);
+    if (captor) {
+      console.log(`[KOTH] ${captor.name} captured the zone`);
+    }
+
+    // Held alone - the holder scores
+    const owner = players.get(ownerId);
+    if (owner) {
+      owner.score += this.zone.score(owner.id, deltaTime);
+    }
+  }
+}
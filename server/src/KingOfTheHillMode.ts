@@ -0,0 +1,79 @@
+// ============================================
+// KING OF THE HILL GAME MODE
+// ============================================
+
+import { TeamGameMode } from './TeamGameMode.js';
+import type { GameModeOptions } from './GameMode.js';
+import { HillZone } from './HillZone.js';
+import { Player } from './Player.js';
+import { Team, type WorldEntity } from '@shooter/shared';
+
+const DEFAULT_SCORE_LIMIT = 100;
+
+// Red vs Blue over the zone - the free-for-all version is KingOfTheHillFfaMode
+export class KingOfTheHillMode extends TeamGameMode {
+  readonly name = 'King of the Hill';
+  readonly description = 'Hold the zone. Only uncontested time counts!';
+  protected readonly tag = 'KOTH';
+
+  private zone: HillZone = new HillZone(false);
+
+  // Reused per tick
+  private teamsInside: Set<number> = new Set();
+
+  constructor(options?: GameModeOptions) {
+    super({ ...options, scoreLimit: options?.scoreLimit ?? DEFAULT_SCORE_LIMIT });
+  }
+
+  onPlayerKill(killer: Player, victim: Player, headshot: boolean): void {
+    if (killer.team === victim.team) {
+      console.log(`[KOTH] ${killer.name} team-killed ${victim.name}`);
+      return;
+    }
+
+    killer.score += headshot ? 2 : 1;
+    killer.kills++;
+
+    console.log(`[KOTH] ${killer.name} killed ${victim.name}${headshot ? ' (HEADSHOT)' : ''}`);
+  }
+
+  getEntities(): WorldEntity[] {
+    return this.zone.entities;
+  }
+
+  reset(): void {
+    super.reset();
+    this.zone.reset();
+  }
+
+  tick(players: Map<number, Player>, deltaTime: number): void {
+    if (this.zone.relocateIfDue(Date.now())) {
+      console.log(`[KOTH] Zone moved to (${this.zone.x.toFixed(1)}, ${this.zone.z.toFixed(1)})`);
+    }
+
+    // Who is standing inside?
+    this.teamsInside.clear();
+    for (const player of players.values()) {
+      if (player.team !== Team.NONE && this.zone.contains(player)) {
+        this.teamsInside.add(player.team);
+      }
+    }
+
+    const team = this.zone.update(this.teamsInside, deltaTime);
+    if (this.zone.capturedBy) {
+      console.log(`[KOTH] ${this.teamName(this.zone.capturedBy)} captured the zone`);
+    }
+    if (team === 0) return;
+
+    // Held and uncontested - the team scores, and so does everyone of it inside
+    const gained = this.zone.score(team, deltaTime);
+    if (gained > 0) {
+      this.teamScores[team - 1] += gained;
+      for (const player of players.values()) {
+        if (player.team === team && this.zone.contains(player)) {
+          player.score += gained;
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,96 @@
+// ============================================
+// LOOPBACK TRANSPORT - IN-PROCESS CONNECTIONS
+// ============================================
+// Connects clients to a GameServer without sockets (headless tests, bots, offline play)
+// Messages are copied and delivered on a microtask, in order, like a perfect network
+
+import type { GameServer } from './GameServer.js';
+import type { Connection, ConnectionData } from './transport.js';
+
+type Handler = () => void;
+
+// The server's end of a loopback pair
+export class LoopbackConnection implements Connection {
+  data!: ConnectionData;
+  readonly remoteAddress: string;
+  private readonly client: LoopbackClientTransport;
+
+  constructor(client: LoopbackClientTransport, remoteAddress: string) {
+    this.client = client;
+    this.remoteAddress = remoteAddress;
+  }
+
+  send(buffer: ArrayBuffer): void {
+    const copy = buffer.slice(0);
+    this.client.deliver(() => this.client.onMessage?.(copy));
+  }
+
+  // Hang up from the server side - the client hears about it after any messages already sent
+  end(code: number = 1000, reason: string = ''): void {
+    this.client.shutdown(code, reason);
+  }
+}
+
+// The client's end - same shape as the browser client's WebSocketTransport (client/src/transport.js)
+export class LoopbackClientTransport {
+  onOpen: Handler | null = null;
+  onMessage: ((buffer: ArrayBuffer) => void) | null = null;
+  onClose: ((code: number, reason: string) => void) | null = null;
+
+  private readonly server: GameServer;
+  private readonly connection: LoopbackConnection;
+  private open: boolean = true;    // False once either side starts closing (no new messages)
+  private closed: boolean = false; // Set after the close has been delivered
+
+  constructor(server: GameServer, remoteAddress: string) {
+    this.server = server;
+    this.connection = new LoopbackConnection(this, remoteAddress);
+    server.open(this.connection);
+
+    // Callbacks are assigned after construction, like on a WebSocket
+    this.deliver(() => this.onOpen?.());
+  }
+
+  get isOpen(): boolean {
+    return this.open;
+  }
+
+  send(buffer: ArrayBuffer): void {
+    if (!this.open) return;
+    const copy = buffer.slice(0);
+    queueMicrotask(() => {
+      if (!this.closed) this.server.message(this.connection, copy, true);
+    });
+  }
+
+  close(): void {
+    this.shutdown(1000, '');
+  }
+
+  // Run a client callback unless the connection has closed in the meantime
+  deliver(callback: Handler): void {
+    if (!this.open) return;
+    queueMicrotask(() => {
+      if (!this.closed) callback();
+    });
+  }
+
+  shutdown(code: number, reason: string): void {
+    if (!this.open) return;
+    this.open = false;
+
+    // Behind anything already queued for either side
+    queueMicrotask(() => {
+      this.closed = true;
+      this.server.close(this.connection);
+      this.onClose?.(code, reason);
+    });
+  }
+}
+
+let nextLoopbackId = 1;
+
+// Open an in-process connection to a server, e.g. new NetworkManager('', () => connectLoopback(server))
+export function connectLoopback(server: GameServer): LoopbackClientTransport {
+  return new LoopbackClientTransport(server, `loopback-${nextLoopbackId++}`);
+}
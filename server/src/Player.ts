@@ -2,15 +2,20 @@
 // PLAYER CLASS
 // ============================================
 
-import type { WebSocket } from 'uWebSockets.js';
-import { GAME_CONSTANTS, type InputData, type PlayerState, type Vec3 } from '@shooter/shared';
-import { applyPhysics, type Obstacle } from './physics.js';
-import type { SocketData } from './Room.js';
+import { randomBytes } from 'node:crypto';
+import { GAME_CONSTANTS, SESSION_TOKEN_SIZE, Stance, Team, canFireAt, getEyeHeight, getLookDirection, stepMovement, type InputData, type ObstacleGrid, type PlayerState, type PlayerStats, type Vec3 } from '@shooter/shared';
+import type { Connection } from './transport.js';
+import { AntiCheat } from './AntiCheat.js';
+import type { Pose } from './hitboxes.js';
 
 export class Player {
   id: number;
   name: string;
-  ws: WebSocket<SocketData> | null;
+  connection: Connection | null; // null while idle
+  features: number; // ProtocolFeature bits negotiated at join
+  readonly sessionToken: string = randomBytes(SESSION_TOKEN_SIZE).toString('hex'); // Resumes this player after a reconnect
+  readonly spreadSeed: number = randomBytes(4).readUInt32LE(0); // Weapon spread, shared with the client (see spread.ts)
+  idleSince: number = 0; // When the socket dropped (0 = connected) - idle players are kept but not simulated
 
   // Position
   x: number = 0;
@@ -35,41 +40,64 @@ export class Player {
   score: number = 0;
   kills: number = 0;
   deaths: number = 0;
+  team: number = Team.NONE;
 
   // Weapon
   weapon: number = 0;
+  weaponLocked: boolean = false; // Set by modes that pick the weapon (ignores input.weapon)
   isShooting: boolean = false;
-  lastShootTime: number = 0;
+  lastShotSeq: number = 0; // Input that last fired (fire rate counts inputs, like the client)
 
-  // Input processing
+  // Input processing: received inputs wait here and are played out one per tick
   pendingInputs: InputData[] = [];
+  lastReceivedInput: number = 0; // Newest seq queued (older ones are redundant copies)
+  lastSeenInput: number = 0;     // Newest seq that arrived, queued or not (for the input rate check)
+  inputCredit: number = 0;       // Inputs this player may still apply (earned one per tick)
   lastProcessedInput: number = 0;
+  lastAckedTick: number = 0; // Newest snapshot the client confirmed (delta baseline, 0 = none)
+
+  // Movement and aim anomaly detection
+  readonly antiCheat: AntiCheat = new AntiCheat(this);
+
+  // Interest management: what this client was sent, and when it last saw each player
+  lastSentStates: Map<number, PlayerState> = new Map();
+  lastSeen: Map<number, number> = new Map();
 
   // State flags for physics
   grounded: boolean = false;
+  stance: number = Stance.STANDING;
 
   // Circular Buffer for Lag Compensation
   private static readonly HISTORY_CAPACITY = 300; // 5 seconds at 60 TPS
   private historyX = new Float32Array(Player.HISTORY_CAPACITY);
   private historyY = new Float32Array(Player.HISTORY_CAPACITY);
   private historyZ = new Float32Array(Player.HISTORY_CAPACITY);
+  private historyYaw = new Float32Array(Player.HISTORY_CAPACITY);
+  private historyStance = new Uint8Array(Player.HISTORY_CAPACITY);
   private historyTime = new Float64Array(Player.HISTORY_CAPACITY);
   private historyHead = 0;
   private historySize = 0;
 
-  constructor(id: number, name: string, ws: WebSocket<SocketData>) {
+  // Player states sent to this client per tick (delta baselines)
+  private static readonly SENT_HISTORY = 64; // ~1s at 60 TPS
+  private sentSnapshots: ({ tick: number; states: Map<number, PlayerState> } | undefined)[] =
+    new Array(Player.SENT_HISTORY);
+
+  constructor(id: number, name: string, connection: Connection, features: number) {
     this.id = id;
     this.name = name;
-    this.ws = ws;
+    this.connection = connection;
+    this.features = features;
   }
 
-  spawn(obstacles: Obstacle[]): void {
+  spawn(obstacles: ObstacleGrid): void {
     this.health = GAME_CONSTANTS.MAX_HEALTH;
     this.isDead = false;
     this.vx = 0;
     this.vy = 0;
     this.vz = 0;
     this.isShooting = false;
+    this.stance = Stance.STANDING;
     this.respawnTime = 0;
 
     // Clear history on spawn
@@ -85,7 +113,7 @@ export class Player {
     this.y = 5; // Start in air to avoid getting stuck
   }
 
-  processInput(input: InputData, deltaTime: number, obstacles: Obstacle[]): void {
+  processInput(input: InputData, deltaTime: number, obstacles: ObstacleGrid): void {
     if (this.isDead) return;
 
     // Update rotation
@@ -93,82 +121,26 @@ export class Player {
     this.pitch = input.pitch;
 
     // Update weapon state
-    this.weapon = input.weapon;
-    this.isShooting = input.shoot;
-
-    // Calculate movement
-    // -----------------
-    const speed = input.sprint ? GAME_CONSTANTS.MOVE_SPEED * GAME_CONSTANTS.SPRINT_MULTIPLIER :
-      input.sneak ? GAME_CONSTANTS.MOVE_SPEED * GAME_CONSTANTS.SNEAK_MULTIPLIER :
-        GAME_CONSTANTS.MOVE_SPEED;
-
-    // Input direction (local)
-    let dx = 0;
-    let dz = 0;
-
-    if (input.forward) dz += 1;
-    if (input.backward) dz -= 1;
-    if (input.left) dx -= 1;
-    if (input.right) dx += 1;
-
-    // Normalize if moving diagonally
-    if (dx !== 0 || dz !== 0) {
-      const len = Math.sqrt(dx * dx + dz * dz);
-      dx /= len;
-      dz /= len;
+    if (!this.weaponLocked) {
+      this.weapon = input.weapon;
     }
+    this.isShooting = input.shoot;
 
-    // Rotate to world space (using yaw)
-    // Matches client-side logic exactly to prevent reconciliation snaps
-    const sin = Math.sin(this.yaw);
-    const cos = Math.cos(this.yaw);
-
-    // Forward vector: (sin, 0, cos)
-    // Right vector: (cos, 0, -sin)
-    const moveX = (dx * cos + dz * sin) * speed;
-    const moveZ = (-dx * sin + dz * cos) * speed;
-
-    // Apply horizontal velocity (instant response)
-    this.vx = moveX;
-    this.vz = moveZ;
-
-    // Jump
-    if (input.jump && this.grounded) {
-      this.vy = GAME_CONSTANTS.JUMP_FORCE;
-      this.grounded = false;
-    }
-
-    // Apply physics (gravity, collision)
-    const currentPos = { x: this.x, y: this.y, z: this.z };
-    const currentVel = { x: this.vx, y: this.vy, z: this.vz };
-
-    // applyPhysics handles gravity and collision response
-    const result = applyPhysics(currentPos, currentVel, deltaTime, obstacles);
-
-    // Update state
-    this.x = result.position.x;
-    this.y = result.position.y;
-    this.z = result.position.z;
-
-    this.vx = result.velocity.x;
-    this.vy = result.velocity.y;
-    this.vz = result.velocity.z;
-
-    this.grounded = result.grounded;
+    // Move (same step as the client's prediction)
+    stepMovement(this, input, deltaTime, obstacles);
 
     this.lastProcessedInput = input.seq;
   }
 
-  canShoot(currentTime: number): boolean {
+  // Whether the input with this seq fires (call as it is applied)
+  canShoot(seq: number): boolean {
     if (this.isDead) return false;
     if (!this.isShooting) return false;
-
-    const weaponConfig = GAME_CONSTANTS.WEAPONS[this.weapon];
-    if (!weaponConfig) return false;
+    if (!GAME_CONSTANTS.WEAPONS[this.weapon]) return false;
 
     // Check fire rate
-    if (currentTime - this.lastShootTime >= weaponConfig.fireRate) {
-      this.lastShootTime = currentTime;
+    if (canFireAt(seq, this.lastShotSeq, this.weapon)) {
+      this.lastShotSeq = seq;
       return true;
     }
 
@@ -193,7 +165,7 @@ export class Player {
   getEyePosition(): Vec3 {
     return {
       x: this.x,
-      y: this.y + GAME_CONSTANTS.PLAYER_HEIGHT - 0.2, // Slightly below top of head
+      y: this.y + getEyeHeight(this.stance),
       z: this.z
     };
   }
@@ -203,6 +175,8 @@ export class Player {
     this.historyX[idx] = this.x;
     this.historyY[idx] = this.y;
     this.historyZ[idx] = this.z;
+    this.historyYaw[idx] = this.yaw;
+    this.historyStance[idx] = this.stance;
     this.historyTime[idx] = timestamp;
 
     this.historyHead = (this.historyHead + 1) % Player.HISTORY_CAPACITY;
@@ -211,7 +185,8 @@ export class Player {
     }
   }
 
-  getPositionAt(timestamp: number): Vec3 | null {
+  // Pose (position, yaw and stance) at a past time, for rewinding hitboxes
+  getPoseAt(timestamp: number): Pose | null {
     if (this.historySize === 0) return null;
 
     // Search backwards from head-1
@@ -220,7 +195,7 @@ export class Player {
 
     // Check if timestamp is newer than latest snapshot
     if (timestamp >= this.historyTime[idx]) {
-      return { x: this.historyX[idx], y: this.historyY[idx], z: this.historyZ[idx] };
+      return this.getHistoryPose(idx);
     }
 
     for (let i = 0; i < this.historySize - 1; i++) {
@@ -231,12 +206,15 @@ export class Player {
       const prevTime = this.historyTime[prevIdx];
 
       if (timestamp <= currTime && timestamp >= prevTime) {
-        // Interpolate
+        // Interpolate (yaw the short way round, stance from the nearer tick - it doesn't blend)
         const t = (timestamp - prevTime) / (currTime - prevTime);
+        const yawDelta = this.historyYaw[currIdx] - this.historyYaw[prevIdx];
         return {
           x: this.historyX[prevIdx] + (this.historyX[currIdx] - this.historyX[prevIdx]) * t,
           y: this.historyY[prevIdx] + (this.historyY[currIdx] - this.historyY[prevIdx]) * t,
-          z: this.historyZ[prevIdx] + (this.historyZ[currIdx] - this.historyZ[prevIdx]) * t
+          z: this.historyZ[prevIdx] + (this.historyZ[currIdx] - this.historyZ[prevIdx]) * t,
+          yaw: this.historyYaw[prevIdx] + Math.atan2(Math.sin(yawDelta), Math.cos(yawDelta)) * t,
+          stance: this.historyStance[t < 0.5 ? prevIdx : currIdx]
         };
       }
 
@@ -247,20 +225,36 @@ export class Player {
     }
 
     // Too old, return oldest
-    return { x: this.historyX[idx], y: this.historyY[idx], z: this.historyZ[idx] };
+    return this.getHistoryPose(idx);
   }
 
-  getLookDirection(): Vec3 {
-    // Convert pitch/yaw to normalized direction vector
-    // pitch rotates around X, yaw around Y
-    // Consistent with Forward=+Z
+  private getHistoryPose(idx: number): Pose {
     return {
-      x: Math.sin(this.yaw) * Math.cos(this.pitch),
-      y: -Math.sin(this.pitch), // Pitch is inverted (Negative = Up, Positive = Down from client)
-      z: Math.cos(this.yaw) * Math.cos(this.pitch)
+      x: this.historyX[idx],
+      y: this.historyY[idx],
+      z: this.historyZ[idx],
+      yaw: this.historyYaw[idx],
+      stance: this.historyStance[idx]
     };
   }
 
+  // Remember what this client was sent for a tick
+  recordSentSnapshot(tick: number, states: Map<number, PlayerState>): void {
+    this.sentSnapshots[tick % Player.SENT_HISTORY] = { tick, states };
+    this.lastSentStates = states;
+  }
+
+  // States sent for a tick, or null if unknown or too old
+  getSentSnapshot(tick: number): Map<number, PlayerState> | null {
+    if (tick === 0) return null;
+    const entry = this.sentSnapshots[tick % Player.SENT_HISTORY];
+    return entry && entry.tick === tick ? entry.states : null;
+  }
+
+  getLookDirection(): Vec3 {
+    return getLookDirection(this.yaw, this.pitch);
+  }
+
   getState(): PlayerState {
     return {
       id: this.id,
@@ -274,9 +268,24 @@ export class Player {
       pitch: this.pitch,
       health: this.health,
       weapon: this.weapon,
+      weaponLocked: this.weaponLocked,
       isShooting: this.isShooting,
       isDead: this.isDead,
-      score: this.score
+      grounded: this.grounded,
+      stance: this.stance,
+      score: this.score,
+      team: this.team
+    };
+  }
+
+  getStats(): PlayerStats {
+    return {
+      id: this.id,
+      name: this.name,
+      team: this.team,
+      score: this.score,
+      kills: this.kills,
+      deaths: this.deaths
     };
   }
 }
@@ -2,34 +2,69 @@
 // ROOM - MANAGES A SINGLE GAME INSTANCE
 // ============================================
 
-import type { WebSocket } from 'uWebSockets.js';
-import { GAME_CONSTANTS, type InputData, type HitEvent } from '@shooter/shared';
-import { encodeSnapshot } from './protocol.js';
+import { DeathReason, GAME_CONSTANTS, MatchPhase, PROTOCOL_VERSION, ProtocolFeature, RejectReason, Team, ObstacleGrid, generateObstacles, getShotDirections, type InputData, type HitEvent, type PlayerState, type RoomSettings } from '@shooter/shared';
+import {
+  MAX_HITS,
+  encodeDeath,
+  encodeGameOver,
+  encodeMapChange,
+  encodePlayerJoined,
+  encodePlayerLeft,
+  encodeReject,
+  encodeRespawn,
+  encodeSnapshot,
+  encodeWelcome
+} from './protocol.js';
 import { Player } from './Player.js';
+import { logOffender } from './ConnectionGuard.js';
+import { CLOSE_REJECTED, type Connection } from './transport.js';
 import { GameMode } from './GameMode.js';
-import { FreeForAllMode } from './FreeForAllMode.js';
-import { generateObstacles, raycast, type Obstacle } from './physics.js';
+import { createGameMode } from './modes.js';
+import { hasLineOfSight, raycast } from './physics.js';
+import { HitRegion, getRegionDamage, intersectHitboxes } from './hitboxes.js';
 import { CONFIG } from './config.js';
 
-// WebSocket user data
-export interface SocketData {
-  playerId: number;
-  roomId: string;
-}
+const PHASE_NAMES = ['WARMUP', 'COUNTDOWN', 'LIVE', 'POST_MATCH'];
+
+// Interest management: how much each client hears about each other player
+const Relevance = {
+  HIDDEN: 0,  // Out of sight - position withheld
+  LOW: 1,     // Far away - updated every LOW_RELEVANCE_INTERVAL ticks
+  HIGH: 2     // Close or in clear view - updated every tick
+} as const;
+
+const NEAR_DISTANCE = 10;          // Always relevant (can be heard, about to round a corner)
+const FAR_DISTANCE = 30;           // Visible players beyond this drop to low relevance
+const LOW_RELEVANCE_INTERVAL = 4;  // Ticks between low-relevance updates
+const SIGHT_GRACE = 500;           // ms a player stays relevant after breaking line of sight
+
+// Input playout: one per tick, two while more than INPUT_BUFFER_SIZE are queued (caps added latency)
+// Catching up spends credit earned one per tick, so nobody gets more inputs than ticks (speedhack)
+const INPUT_BUFFER_SIZE = 3;
+const MAX_INPUTS_PER_TICK = 2;
+const MAX_INPUT_CREDIT = 5;        // Inputs a stalled client can catch up on
+const MAX_PENDING_INPUTS = 10;     // Newer inputs are refused until there is room (the client resends them)
 
 export class Room {
   readonly id: string;
-  readonly maxPlayers: number;
+
+  // Mode/map/rules rotation - advances after every match
+  private readonly playlist: RoomSettings[];
+  private playlistIndex: number = 0;
 
   private players: Map<number, Player> = new Map();
   private gameMode: GameMode;
-  private obstacles: Obstacle[];
+  private obstacles: ObstacleGrid;
 
   // Game loop state
   private tick: number = 0;
   private lastTickTime: number = 0;
   private tickInterval: NodeJS.Timeout | null = null;
 
+  // Match lifecycle
+  private phase: number = MatchPhase.WARMUP;
+  private phaseEndTime: number = 0; // 0 = no timer
+
   // Pre-allocated for zero-GC
   private snapshotHits: HitEvent[] = [];
   private readonly tickRate: number;
@@ -38,19 +73,22 @@ export class Room {
   // ID generation
   private nextPlayerId: number = 1;
 
-  constructor(id: string, maxPlayers: number = CONFIG.MAX_PLAYERS_PER_ROOM) {
+  // Called when the last player is gone (the server drops unused rooms)
+  onEmpty: (() => void) | null = null;
+
+  constructor(id: string, playlist: RoomSettings[]) {
     this.id = id;
-    this.maxPlayers = maxPlayers;
+    this.playlist = playlist;
     this.tickRate = CONFIG.TICK_RATE;
     this.tickDuration = 1000 / this.tickRate;
 
     // Generate map
-    this.obstacles = generateObstacles(CONFIG.MAP_SEED);
+    this.obstacles = new ObstacleGrid(generateObstacles(this.settings.mapSeed));
 
     // Initialize game mode
-    this.gameMode = new FreeForAllMode();
+    this.gameMode = this.createMode(this.settings);
 
-    console.log(`[Room ${id}] Created with ${this.obstacles.length} obstacles`);
+    console.log(`[Room ${id}] Created: ${this.gameMode.name}, map ${this.settings.mapSeed}, ${this.obstacles.count} obstacles, playlist of ${playlist.length}`);
   }
 
   // Start the game loop
@@ -72,21 +110,24 @@ export class Room {
   }
 
   // Add a player to the room
-  addPlayer(name: string, ws: WebSocket<SocketData>): Player | null {
+  addPlayer(name: string, connection: Connection, features: number): Player | null {
     if (this.players.size >= this.maxPlayers) {
       return null;
     }
 
     const id = this.nextPlayerId++;
-    const player = new Player(id, name, ws);
+    const player = new Player(id, name, connection, features);
 
-    // Set socket data
-    ws.getUserData().playerId = id;
-    ws.getUserData().roomId = this.id;
+    // Set connection data
+    connection.data.playerId = id;
+    connection.data.roomId = this.id;
 
     this.players.set(id, player);
     this.gameMode.onPlayerJoin(player, this.obstacles);
 
+    this.sendWelcome(player);
+    this.broadcast(encodePlayerJoined({ id, name, team: player.team }), player);
+
     // Start game loop if first player
     if (this.players.size === 1) {
       this.start();
@@ -95,27 +136,119 @@ export class Room {
     return player;
   }
 
+  // Socket dropped - keep the player (score, spot in the room) in case they come back with the session token
+  disconnectPlayer(playerId: number): void {
+    const player = this.players.get(playerId);
+    if (!player) return;
+
+    if (CONFIG.RECONNECT_GRACE_TIME <= 0) {
+      this.removePlayer(playerId);
+      return;
+    }
+
+    player.connection = null;
+    player.idleSince = Date.now();
+    player.pendingInputs.length = 0;
+    player.isShooting = false;
+    player.vx = 0;
+    player.vz = 0;
+    this.gameMode.onPlayerIdle(player);
+    console.log(`[Room ${this.id}] ${player.name} is idle, holding their spot for ${CONFIG.RECONNECT_GRACE_TIME / 1000}s`);
+  }
+
+  // Give a reconnecting client its player back (null if the token isn't from this room)
+  resumePlayer(sessionToken: string, connection: Connection, features: number): Player | null {
+    let player: Player | null = null;
+    for (const candidate of this.players.values()) {
+      if (candidate.sessionToken === sessionToken) {
+        player = candidate;
+        break;
+      }
+    }
+    if (!player) return null;
+
+    // The old connection may not have noticed it's dead yet - its close must not idle the player again
+    if (player.connection) {
+      player.connection.data.playerId = 0;
+      try {
+        player.connection.end();
+      } catch (e) {
+        // Socket closed
+      }
+    }
+
+    connection.data.playerId = player.id;
+    connection.data.roomId = this.id;
+
+    player.connection = connection;
+    player.features = features;
+    player.idleSince = 0;
+    player.pendingInputs.length = 0;
+    player.inputCredit = 0;
+    player.lastAckedTick = 0; // The new connection has no baselines
+    player.antiCheat.reset();
+
+    // Catch up on the room, then put the client where the server has them
+    this.sendWelcome(player);
+    if (!player.isDead) {
+      this.send(player, encodeRespawn({ playerId: player.id, x: player.x, y: player.y, z: player.z }));
+    }
+
+    return player;
+  }
+
   // Remove a player from the room
   removePlayer(playerId: number): void {
     const player = this.players.get(playerId);
     if (player) {
       this.gameMode.onPlayerLeave(player);
       this.players.delete(playerId);
+      for (const other of this.players.values()) {
+        other.lastSeen.delete(playerId);
+      }
+      this.broadcast(encodePlayerLeft(playerId));
 
       // Stop game loop if empty
       if (this.players.size === 0) {
         this.stop();
+        this.setPhase(MatchPhase.WARMUP);
+        this.onEmpty?.();
       }
     }
   }
 
   // Process player input
-  processInput(playerId: number, input: InputData): void {
+  processInputs(playerId: number, inputs: InputData[]): void {
     const player = this.players.get(playerId);
     if (!player) return;
 
-    // Queue input for processing in next tick
-    player.pendingInputs.push(input);
+    // Every new seq counts towards the input rate, even when the buffer has no room for it -
+    // a sped-up client keeps it full, so counting only queued inputs would never catch one
+    let arrived = 0;
+    for (const input of inputs) {
+      if (input.seq <= player.lastSeenInput) continue;
+      player.lastSeenInput = input.seq;
+      arrived++;
+    }
+    if (arrived > 0) {
+      player.antiCheat.onInputsReceived(arrived, Date.now());
+    }
+
+    // Packets repeat recent inputs - only queue the ones we haven't seen
+    // A full buffer is normal after a stall: the rest are dropped, not held against the client
+    for (const input of inputs) {
+      if (input.seq <= player.lastReceivedInput) continue;
+      if (player.pendingInputs.length >= MAX_PENDING_INPUTS) break;
+      player.lastReceivedInput = input.seq;
+      player.pendingInputs.push(input);
+    }
+  }
+
+  // Client confirmed a snapshot - use it as the baseline for the next deltas
+  acknowledgeSnapshot(playerId: number, tick: number): void {
+    const player = this.players.get(playerId);
+    if (!player || tick > this.tick) return;
+    player.lastAckedTick = tick;
   }
 
   // Main game tick
@@ -130,14 +263,26 @@ export class Room {
     // Clear hit events
     this.snapshotHits.length = 0;
 
-    // Process all pending inputs
+    // Give up on players who didn't come back in time
+    this.removeExpiredPlayers();
+
+    // Play out buffered inputs
     for (const player of this.players.values()) {
-      // Process queued inputs - each input gets fixed deltaTime
-      for (const input of player.pendingInputs) {
+      // One per tick, like the client produced them - two while catching up, if there is credit
+      player.inputCredit = Math.min(player.inputCredit + 1, MAX_INPUT_CREDIT);
+      const wanted = player.pendingInputs.length > INPUT_BUFFER_SIZE ? MAX_INPUTS_PER_TICK : 1;
+      const count = Math.min(wanted, player.pendingInputs.length, player.inputCredit);
+      player.inputCredit -= count;
+
+      // Each input gets fixed deltaTime
+      for (let i = 0; i < count; i++) {
+        const input = player.pendingInputs[i];
+        player.antiCheat.onInput(input, fixedDeltaTime);
         player.processInput(input, fixedDeltaTime, this.obstacles);
 
-        // SUB-TICK SHOOTING
-        if (input.shoot) {
+        // SUB-TICK SHOOTING (not during countdown or results)
+        // Fire rate is checked by seq even then, so the client's tracers keep firing on the same inputs
+        if (input.shoot && player.canShoot(input.seq) && this.isCombatAllowed()) {
           // Validate timestamp (clamp to reasonable window to prevent speedhacks/lagswitch)
           const now = Date.now();
           const maxLag = CONFIG.MAX_LAG_COMPENSATION;
@@ -146,87 +291,65 @@ export class Room {
           if (shootTime < now - maxLag) shootTime = now - maxLag;
           if (shootTime > now) shootTime = now;
 
-          this.handleShoot(player, shootTime);
+          this.handleShoot(player, shootTime, input.seq);
         }
       }
-      player.pendingInputs.length = 0;
+      player.pendingInputs.splice(0, count);
 
       // Save history for lag compensation (End of tick state)
       player.saveHistory(Date.now());
     }
 
+    // Players the anti-cheat is sure enough about
+    this.kickFlaggedPlayers();
+
     // Handle respawns
     this.processRespawns();
 
     // Game mode specific logic
     this.gameMode.tick(this.players, fixedDeltaTime);
 
-    // Check for game end
-    if (this.gameMode.shouldEndGame(this.players)) {
-      this.handleGameEnd();
-    }
+    // Advance the match lifecycle (includes the game end check)
+    this.updatePhase();
 
     // Broadcast world state
     this.broadcastSnapshot();
   }
 
   // Process shooting for a single player with lag compensation
-  private handleShoot(shooter: Player, shootTime: number): void {
-    // Check fire rate (using server time to prevent hacks)
-    // We allow a small buffer for network jitter
-    if (!shooter.canShoot(Date.now())) return;
-
+  // seq is the input that fired (fire rate already checked) - it picks the spread, like on the shooter's client
+  private handleShoot(shooter: Player, shootTime: number, seq: number): void {
     // Rewind to the time the player undoubtedly saw the target
     // We trust the client's timestamp (clamped in gameTick)
     const rewindTime = shootTime;
 
     const weapon = GAME_CONSTANTS.WEAPONS[shooter.weapon];
+    const origin = shooter.getEyePosition();
 
-    // Handle Multi-Shot (Shotgun)
-    const bulletCount = weapon.bulletCount || 1;
-
-    for (let i = 0; i < bulletCount; i++) {
-      const origin = shooter.getEyePosition();
-      let direction = shooter.getLookDirection();
-
-      // Apply Spread
-      if (weapon.spread > 0) {
-        direction.x += (Math.random() - 0.5) * weapon.spread;
-        direction.y += (Math.random() - 0.5) * weapon.spread;
-        direction.z += (Math.random() - 0.5) * weapon.spread;
-
-        // Renormalize
-        const len = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
-        direction.x /= len;
-        direction.y /= len;
-        direction.z /= len;
-      }
+    // One direction per bullet (several for the shotgun), spread seeded per shot
+    const directions = getShotDirections(shooter.yaw, shooter.pitch, shooter.weapon, shooter.spreadSeed, seq);
 
+    for (const direction of directions) {
       // Check hits against other players with LAG COMPENSATION
       let hitPlayer: Player | null = null;
       let hitDistance: number = weapon.range;
-      let isHeadshot = false;
+      let hitRegion: number = HitRegion.TORSO;
 
       for (const target of this.players.values()) {
-        if (target.id === shooter.id || target.isDead) continue;
-
-        // REWIND: Get target position at the time the shooter likely saw them
-        const pastPos = target.getPositionAt(rewindTime);
-        if (!pastPos) continue; // Too new or error
-
-        // Create temp target with past position for collision check
-        const ghostTarget = Object.create(target);
-        ghostTarget.x = pastPos.x;
-        ghostTarget.y = pastPos.y;
-        ghostTarget.z = pastPos.z;
-        // Also rewind rotation if needed for head hitbox, but mainly position
-
-        // Simple sphere-ray intersection for player hitbox
-        const result = this.checkPlayerHit(origin, direction, ghostTarget, weapon.range);
-        if (result.hit && result.distance < hitDistance) {
-          hitPlayer = target; // The actual target
-          hitDistance = result.distance;
-          isHeadshot = result.headshot;
+        if (target.id === shooter.id || target.isDead || target.idleSince > 0) continue;
+
+        // Shots pass through players the mode protects (e.g. teammates)
+        if (this.gameMode.getDamageScale(shooter, target) <= 0) continue;
+
+        // REWIND: Pose the target's hitboxes as the shooter likely saw them
+        const pose = target.getPoseAt(rewindTime);
+        if (!pose) continue; // Too new or error
+
+        const hit = intersectHitboxes(origin, direction, pose, hitDistance);
+        if (hit) {
+          hitPlayer = target;
+          hitDistance = hit.distance;
+          hitRegion = hit.region;
         }
       }
 
@@ -236,100 +359,76 @@ export class Room {
         hitPlayer = null; // Blocked by obstacle
       }
 
+      const isHeadshot = hitPlayer !== null && hitRegion === HitRegion.HEAD;
+      shooter.antiCheat.onShot(shooter.weapon, hitPlayer !== null, isHeadshot);
+
       // Apply damage
       if (hitPlayer) {
-        const damage = isHeadshot ? weapon.damage * 2 : weapon.damage;
+        const baseDamage = weapon.damage * getRegionDamage(hitRegion);
+        const damage = Math.round(baseDamage * this.gameMode.getDamageScale(shooter, hitPlayer));
         const killed = hitPlayer.takeDamage(damage, shooter.id);
 
-        this.snapshotHits.push({
-          shooterId: shooter.id,
-          targetId: hitPlayer.id,
-          damage,
-          headshot: isHeadshot
-        });
+        // Hit markers for this tick's snapshot (a snapshot holds MAX_HITS)
+        if (this.snapshotHits.length < MAX_HITS) {
+          this.snapshotHits.push({
+            shooterId: shooter.id,
+            targetId: hitPlayer.id,
+            damage,
+            headshot: isHeadshot
+          });
+        }
 
         if (killed) {
           this.gameMode.onPlayerKill(shooter, hitPlayer, isHeadshot);
           this.gameMode.onPlayerDeath(hitPlayer, shooter.id);
+          this.announceDeath(hitPlayer, shooter, isHeadshot, DeathReason.KILLED);
         }
       }
     }
   }
 
-  // Check if ray hits a player
-  private checkPlayerHit(
-    origin: { x: number; y: number; z: number },
-    direction: { x: number; y: number; z: number },
-    target: Player,
-    maxDistance: number
-  ): { hit: boolean; distance: number; headshot: boolean } {
-    // Body hitbox (cylinder approximation as sphere)
-    const bodyRadius = GAME_CONSTANTS.PLAYER_RADIUS;
-    const bodyCenter = {
-      x: target.x,
-      y: target.y + GAME_CONSTANTS.PLAYER_HEIGHT / 2,
-      z: target.z
-    };
-
-    // Head hitbox
-    const headRadius = GAME_CONSTANTS.HEAD_HEIGHT;
-    const headCenter = {
-      x: target.x,
-      y: target.y + GAME_CONSTANTS.PLAYER_HEIGHT - headRadius,
-      z: target.z
-    };
-
-    // Check head first (headshots)
-    const headHit = this.raySphereIntersect(origin, direction, headCenter, headRadius, maxDistance);
-    if (headHit.hit) {
-      return { hit: true, distance: headHit.distance, headshot: true };
-    }
-
-    // Check body
-    const bodyHit = this.raySphereIntersect(origin, direction, bodyCenter, bodyRadius * 1.5, maxDistance);
-    if (bodyHit.hit) {
-      return { hit: true, distance: bodyHit.distance, headshot: false };
+  // Drop players whose anti-cheat suspicion crossed ANTICHEAT_KICK_SCORE
+  private kickFlaggedPlayers(): void {
+    for (const player of this.players.values()) {
+      if (!player.antiCheat.kickRequested) continue;
+
+      const message = 'Kicked by the anti-cheat.';
+      const connection = player.connection;
+      this.send(player, encodeReject({ reason: RejectReason.KICKED, message }));
+      this.removePlayer(player.id);
+
+      // Hang up without the close idling a player that's already gone
+      if (connection) {
+        logOffender(connection.data.guard, 'kicked by the anti-cheat');
+        connection.data.playerId = 0;
+        connection.data.rejected = true;
+        try {
+          connection.end(CLOSE_REJECTED, message);
+        } catch (e) {
+          // Socket closed
+        }
+      }
     }
-
-    return { hit: false, distance: Infinity, headshot: false };
   }
 
-  // Ray-sphere intersection
-  private raySphereIntersect(
-    origin: { x: number; y: number; z: number },
-    direction: { x: number; y: number; z: number },
-    center: { x: number; y: number; z: number },
-    radius: number,
-    maxDistance: number
-  ): { hit: boolean; distance: number } {
-    const dx = origin.x - center.x;
-    const dy = origin.y - center.y;
-    const dz = origin.z - center.z;
-
-    const a = direction.x * direction.x + direction.y * direction.y + direction.z * direction.z;
-    const b = 2 * (dx * direction.x + dy * direction.y + dz * direction.z);
-    const c = dx * dx + dy * dy + dz * dz - radius * radius;
-
-    const discriminant = b * b - 4 * a * c;
-
-    if (discriminant < 0) {
-      return { hit: false, distance: Infinity };
-    }
-
-    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
-
-    if (t > 0 && t < maxDistance) {
-      return { hit: true, distance: t };
+  // Idle players past the reconnect grace time leave for good
+  private removeExpiredPlayers(): void {
+    const cutoff = Date.now() - CONFIG.RECONNECT_GRACE_TIME;
+    for (const player of this.players.values()) {
+      if (player.idleSince > 0 && player.idleSince < cutoff) {
+        console.log(`[Room ${this.id}] ${player.name} didn't reconnect in time`);
+        this.removePlayer(player.id);
+      }
     }
-
-    return { hit: false, distance: Infinity };
   }
 
   // Handle respawns
   private processRespawns(): void {
     const now = Date.now();
 
+    // Idle players respawn once they're back
     for (const player of this.players.values()) {
+      if (player.idleSince > 0) continue;
       if (player.isDead && player.respawnTime > 0 && now >= player.respawnTime) {
         const pos = this.gameMode.getSpawnPosition(player, this.obstacles);
         player.x = pos.x;
@@ -338,48 +437,316 @@ export class Room {
         player.health = GAME_CONSTANTS.MAX_HEALTH;
         player.isDead = false;
         player.respawnTime = 0;
+        this.announceRespawn(player);
         console.log(`[Room ${this.id}] ${player.name} respawned`);
       }
     }
   }
 
   // Broadcast world snapshot to all players
+  // Each client gets its own view (interest management), delta-compressed against its acked baseline
   private broadcastSnapshot(): void {
-    for (const player of this.players.values()) {
-      if (!player.ws) continue;
-
-      const playerStates = Array.from(this.players.values()).map(p => p.getState());
+    const now = Date.now();
+    const playerStates = Array.from(this.players.values()).map(p => p.getState());
+    const entities = this.gameMode.getEntities();
+    const teamScores = this.gameMode.getTeamScores();
+    const phaseTimeLeft = this.phaseEndTime > 0 ? Math.max(0, this.phaseEndTime - now) : 0;
+
+    for (const viewer of this.players.values()) {
+      if (!viewer.connection) continue;
+
+      const { states, skipped } = this.buildView(viewer, playerStates, now);
+      viewer.recordSentSnapshot(this.tick, states);
+
+      // Full snapshot if the baseline is unknown or too old (or the client can't do deltas)
+      const baseline = viewer.features & ProtocolFeature.DELTA_SNAPSHOTS ?
+        viewer.getSentSnapshot(viewer.lastAckedTick) : null;
+
+      const buffer = encodeSnapshot(
+        this.tick,
+        now,
+        Array.from(states.values()),
+        entities,
+        this.snapshotHits,
+        viewer.lastProcessedInput,
+        teamScores,
+        this.phase,
+        phaseTimeLeft,
+        viewer.lastAckedTick,
+        baseline,
+        skipped,
+        (viewer.features & ProtocolFeature.COMPACT_ENCODING) !== 0
+      );
 
       try {
-        const buffer = encodeSnapshot(
-          this.tick,
-          Date.now(),
-          playerStates,
-          this.snapshotHits,
-          player.lastProcessedInput
-        );
-        player.ws.send(buffer, true);
+        viewer.connection.send(buffer);
       } catch (e) {
         // Socket closed
       }
     }
   }
 
-  // Handle game end
+  // Player states as one client should see them this tick
+  private buildView(
+    viewer: Player,
+    playerStates: PlayerState[],
+    now: number
+  ): { states: Map<number, PlayerState>; skipped: Set<number> } {
+    const states = new Map<number, PlayerState>();
+    const skipped = new Set<number>();
+    const previous = viewer.lastSentStates;
+
+    for (const state of playerStates) {
+      const target = this.players.get(state.id)!;
+      const relevance = this.getRelevance(viewer, target, now);
+      const last = previous.get(state.id);
+
+      if (relevance === Relevance.HIDDEN) {
+        // Keep them on the scoreboard, but freeze the position where the client last saw them
+        states.set(state.id, {
+          ...state,
+          x: last?.x ?? 0, y: last?.y ?? 0, z: last?.z ?? 0,
+          vx: 0, vy: 0, vz: 0,
+          yaw: last?.yaw ?? 0, pitch: last?.pitch ?? 0,
+          isShooting: false,
+          hidden: true
+        });
+      } else if (relevance === Relevance.LOW && last && !last.hidden &&
+          (this.tick + state.id) % LOW_RELEVANCE_INTERVAL !== 0) {
+        // Not due this tick - repeat what the client already has
+        states.set(state.id, last);
+        skipped.add(state.id);
+      } else {
+        states.set(state.id, state);
+      }
+    }
+
+    return { states, skipped };
+  }
+
+  // How much a viewer needs to know about a target: distance, team and line of sight
+  private getRelevance(viewer: Player, target: Player, now: number): number {
+    if (viewer === target) return Relevance.HIGH;
+
+    // Idle players are out of the game until they come back
+    if (target.idleSince > 0) return Relevance.HIDDEN;
+
+    const dx = target.x - viewer.x;
+    const dy = target.y - viewer.y;
+    const dz = target.z - viewer.z;
+    const distSq = dx * dx + dy * dy + dz * dz;
+    if (distSq <= NEAR_DISTANCE * NEAR_DISTANCE) return Relevance.HIGH;
+
+    const eye = viewer.getEyePosition();
+    const visible =
+      hasLineOfSight(eye, target.getEyePosition(), this.obstacles) ||
+      hasLineOfSight(eye, { x: target.x, y: target.y + GAME_CONSTANTS.PLAYER_HEIGHT / 2, z: target.z }, this.obstacles);
+
+    if (visible) {
+      viewer.lastSeen.set(target.id, now);
+      return distSq <= FAR_DISTANCE * FAR_DISTANCE ? Relevance.HIGH : Relevance.LOW;
+    }
+
+    // Teammates are never hidden; players who just ducked behind cover fade out slowly
+    const sameTeam = viewer.team !== Team.NONE && viewer.team === target.team;
+    if (sameTeam || now - (viewer.lastSeen.get(target.id) ?? 0) < SIGHT_GRACE) {
+      return Relevance.LOW;
+    }
+
+    return Relevance.HIDDEN;
+  }
+
+  // Switch match phase and notify the game mode
+  private setPhase(phase: number, duration: number = 0): void {
+    this.phase = phase;
+    this.phaseEndTime = duration > 0 ? Date.now() + duration : 0;
+    this.gameMode.onPhaseChange(phase, this.players);
+    console.log(`[Room ${this.id}] Phase: ${PHASE_NAMES[phase]}`);
+  }
+
+  // Match lifecycle: WARMUP -> COUNTDOWN -> LIVE -> POST_MATCH -> WARMUP
+  private updatePhase(): void {
+    const now = Date.now();
+
+    switch (this.phase) {
+      case MatchPhase.WARMUP:
+        if (this.connectedPlayerCount() >= CONFIG.MIN_PLAYERS) {
+          this.setPhase(MatchPhase.COUNTDOWN, CONFIG.COUNTDOWN_TIME);
+        }
+        break;
+
+      case MatchPhase.COUNTDOWN:
+        if (this.connectedPlayerCount() < CONFIG.MIN_PLAYERS) {
+          this.setPhase(MatchPhase.WARMUP);
+        } else if (now >= this.phaseEndTime) {
+          this.resetMatch();
+          this.setPhase(MatchPhase.LIVE);
+        }
+        break;
+
+      case MatchPhase.LIVE:
+        if (this.gameMode.shouldEndGame(this.players)) {
+          this.handleGameEnd();
+        }
+        break;
+
+      case MatchPhase.POST_MATCH:
+        if (now >= this.phaseEndTime) {
+          if (this.playlist.length > 1) {
+            this.rotatePlaylist();
+          }
+          this.setPhase(MatchPhase.WARMUP);
+        }
+        break;
+    }
+  }
+
+  // Players with a live connection (idle ones don't count towards MIN_PLAYERS)
+  private connectedPlayerCount(): number {
+    let count = 0;
+    for (const player of this.players.values()) {
+      if (player.idleSince === 0) count++;
+    }
+    return count;
+  }
+
+  // Shooting is disabled while a match is about to start or has just ended
+  private isCombatAllowed(): boolean {
+    return this.phase === MatchPhase.WARMUP || this.phase === MatchPhase.LIVE;
+  }
+
+  // Handle game end - announce results and start the intermission
   private handleGameEnd(): void {
     const winners = this.gameMode.getWinners(this.players);
     console.log(`[Room ${this.id}] Game ended. Winners: ${winners.map(p => p.name).join(', ')}`);
 
-    // Reset game
-    this.tick = 0;
+    this.broadcast(encodeGameOver({
+      winnerIds: winners.map(p => p.id),
+      teamScores: this.gameMode.getTeamScores(),
+      players: Array.from(this.players.values()).map(p => p.getStats())
+    }));
+
+    this.setPhase(MatchPhase.POST_MATCH, CONFIG.INTERMISSION_TIME);
+  }
+
+  // Clear scores and respawn everyone for a fresh match
+  private resetMatch(): void {
+    this.gameMode.reset();
     for (const player of this.players.values()) {
       player.score = 0;
       player.kills = 0;
       player.deaths = 0;
       player.spawn(this.obstacles);
+
+      const pos = this.gameMode.getSpawnPosition(player, this.obstacles);
+      player.x = pos.x;
+      player.y = pos.y;
+      player.z = pos.z;
+      this.announceRespawn(player);
     }
   }
 
+  // Create a game mode wired up to report its own kills
+  private createMode(settings: RoomSettings): GameMode {
+    const mode = createGameMode(settings);
+    mode.onModeDeath = (player, reason) => this.announceDeath(player, null, false, reason);
+    return mode;
+  }
+
+  // Tell everyone who died, how, and by whose hand
+  private announceDeath(victim: Player, killer: Player | null, headshot: boolean, reason: number): void {
+    this.broadcast(encodeDeath({
+      victimId: victim.id,
+      killerId: killer ? killer.id : 0,
+      weapon: killer ? killer.weapon : 0,
+      headshot,
+      reason
+    }));
+  }
+
+  // Tell everyone where a player (re)appeared
+  private announceRespawn(player: Player): void {
+    this.broadcast(encodeRespawn({ playerId: player.id, x: player.x, y: player.y, z: player.z }));
+  }
+
+  // Room rules and everyone already here (the player included) - on join and on resume
+  private sendWelcome(player: Player): void {
+    this.send(player, encodeWelcome({
+      playerId: player.id,
+      tickRate: this.tickRate,
+      protocolVersion: PROTOCOL_VERSION,
+      features: player.features,
+      sessionToken: player.sessionToken,
+      spreadSeed: player.spreadSeed,
+      roomId: this.id,
+      modeName: this.gameMode.name,
+      settings: this.settings
+    }));
+    for (const other of this.players.values()) {
+      this.send(player, encodePlayerJoined({ id: other.id, name: other.name, team: other.team }));
+    }
+  }
+
+  // Send a message to one player
+  private send(player: Player, buffer: ArrayBuffer): void {
+    if (!player.connection) return;
+    try {
+      player.connection.send(buffer);
+    } catch (e) {
+      // Socket closed
+    }
+  }
+
+  // Send a message to every player (optionally skipping one)
+  private broadcast(buffer: ArrayBuffer, except: Player | null = null): void {
+    for (const player of this.players.values()) {
+      if (player !== except) {
+        this.send(player, buffer);
+      }
+    }
+  }
+
+  // Load the next playlist entry: new map and mode, everyone rejoins it in place
+  private rotatePlaylist(): void {
+    this.playlistIndex = (this.playlistIndex + 1) % this.playlist.length;
+    const settings = this.settings;
+
+    this.obstacles = new ObstacleGrid(generateObstacles(settings.mapSeed));
+    this.gameMode = this.createMode(settings);
+
+    for (const player of this.players.values()) {
+      // Drop anything the previous mode assigned
+      player.team = Team.NONE;
+      player.weaponLocked = false;
+      player.score = 0;
+      player.kills = 0;
+      player.deaths = 0;
+      this.gameMode.onPlayerJoin(player, this.obstacles);
+    }
+
+    // Clients rebuild the world without reconnecting
+    this.broadcast(encodeMapChange({ roomId: this.id, modeName: this.gameMode.name, settings }));
+    for (const player of this.players.values()) {
+      this.announceRespawn(player);
+    }
+
+    console.log(`[Room ${this.id}] Rotated to ${this.gameMode.name} on map ${settings.mapSeed}`);
+  }
+
+  // Rules of the current playlist entry
+  get settings(): RoomSettings {
+    return this.playlist[this.playlistIndex];
+  }
+
+  get maxPlayers(): number {
+    return this.settings.maxPlayers;
+  }
+
+  // Display name of the running game mode
+  get modeName(): string {
+    return this.gameMode.name;
+  }
+
   // Get player count
   get playerCount(): number {
     return this.players.size;
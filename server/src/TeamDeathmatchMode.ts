@@ -0,0 +1,30 @@
+// ============================================
+// TEAM DEATHMATCH GAME MODE
+// ============================================
+
+import { TeamGameMode } from './TeamGameMode.js';
+import { Player } from './Player.js';
+
+export class TeamDeathmatchMode extends TeamGameMode {
+  readonly name = 'Team Deathmatch';
+  readonly description = 'Red vs Blue. Every kill counts for your team!';
+  protected readonly tag = 'TDM';
+
+  onPlayerKill(killer: Player, victim: Player, headshot: boolean): void {
+    // Team kills award nothing
+    if (killer.team === victim.team) {
+      console.log(`[TDM] ${killer.name} team-killed ${victim.name}`);
+      return;
+    }
+
+    killer.score += headshot ? 2 : 1;
+    killer.kills++;
+    this.teamScores[killer.team - 1]++;
+
+    console.log(`[TDM] ${killer.name} killed ${victim.name}${headshot ? ' (HEADSHOT)' : ''}`);
+  }
+
+  tick(players: Map<number, Player>, deltaTime: number): void {
+    // Respawns are handled by Room
+  }
+}
@@ -0,0 +1,124 @@
+// ============================================
+// TEAM GAME MODE BASE CLASS
+// ============================================
+
+import { GameMode, type GameModeOptions } from './GameMode.js';
+import { Player } from './Player.js';
+import { GAME_CONSTANTS, Team, type ObstacleGrid } from '@shooter/shared';
+
+// Red vs Blue base - handles balancing, side spawns, friendly fire and team scores
+export abstract class TeamGameMode extends GameMode {
+  // Short tag for log lines
+  protected abstract readonly tag: string;
+
+  protected scoreLimit: number = 0;
+  protected timeLimit: number = 0;
+  protected friendlyFire: number = 0;
+  protected startTime: number = 0;
+
+  // Indexed by team id - 1
+  protected teamScores: number[] = [0, 0];
+  private teamSizes: number[] = [0, 0];
+
+  constructor(options?: GameModeOptions) {
+    super(options);
+    if (options?.scoreLimit) this.scoreLimit = options.scoreLimit;
+    if (options?.timeLimit) this.timeLimit = options.timeLimit;
+    if (options?.friendlyFire) this.friendlyFire = options.friendlyFire;
+    this.startTime = Date.now();
+  }
+
+  onPlayerJoin(player: Player, obstacles: ObstacleGrid): void {
+    // Auto-balance: join the smaller team (red on a tie)
+    player.team = this.teamSizes[0] <= this.teamSizes[1] ? Team.RED : Team.BLUE;
+    this.teamSizes[player.team - 1]++;
+
+    player.spawn(obstacles);
+    const pos = this.getSpawnPosition(player, obstacles);
+    player.x = pos.x;
+    player.y = pos.y;
+    player.z = pos.z;
+
+    console.log(`[${this.tag}] ${player.name} joined ${this.teamName(player.team)}`);
+  }
+
+  onPlayerLeave(player: Player): void {
+    if (player.team !== Team.NONE) {
+      this.teamSizes[player.team - 1]--;
+    }
+    console.log(`[${this.tag}] ${player.name} left the game`);
+  }
+
+  onPlayerDeath(player: Player, killerId: number | null): void {
+    player.respawnTime = Date.now() + this.respawnDelay;
+  }
+
+  shouldEndGame(players: Map<number, Player>): boolean {
+    if (this.scoreLimit > 0) {
+      for (const score of this.teamScores) {
+        if (score >= this.scoreLimit) {
+          return true;
+        }
+      }
+    }
+
+    if (this.timeLimit > 0) {
+      if (Date.now() - this.startTime >= this.timeLimit) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  getWinners(players: Map<number, Player>): Player[] {
+    const [red, blue] = this.teamScores;
+    const winners: Player[] = [];
+
+    for (const player of players.values()) {
+      // A draw means both teams win
+      if ((player.team === Team.RED && red >= blue) ||
+          (player.team === Team.BLUE && blue >= red)) {
+        winners.push(player);
+      }
+    }
+
+    return winners;
+  }
+
+  getSpawnPosition(player: Player, obstacles: ObstacleGrid): { x: number; y: number; z: number } {
+    const halfMap = GAME_CONSTANTS.MAP_SIZE / 2 - 2;
+
+    // Red spawns on the west third of the map, blue on the east third
+    const side = this.teamSide(player.team);
+    const depth = halfMap / 3;
+
+    return this.findSpawnPoint(obstacles, () => ({
+      x: side * (halfMap - Math.random() * depth),
+      z: (Math.random() - 0.5) * halfMap * 2
+    }));
+  }
+
+  getDamageScale(shooter: Player, target: Player): number {
+    return shooter.team === target.team ? this.friendlyFire : 1;
+  }
+
+  getTeamScores(): number[] {
+    return this.teamScores;
+  }
+
+  reset(): void {
+    this.teamScores[0] = 0;
+    this.teamScores[1] = 0;
+    this.startTime = Date.now();
+  }
+
+  // -1 for the west (red) side, 1 for the east (blue) side
+  protected teamSide(team: number): number {
+    return team === Team.BLUE ? 1 : -1;
+  }
+
+  protected teamName(team: number): string {
+    return team === Team.RED ? 'Red' : 'Blue';
+  }
+}
@@ -17,11 +17,30 @@ export const CONFIG = {
   TICK_RATE: parseInt(process.env.TICK_RATE || '60', 10),
   MAX_PLAYERS_PER_ROOM: parseInt(process.env.MAX_PLAYERS_PER_ROOM || '16', 10),
   MAX_ROOMS: parseInt(process.env.MAX_ROOMS || '10', 10),
+  MIN_PLAYERS: parseInt(process.env.MIN_PLAYERS || '2', 10),         // Players needed to leave warmup
+  COUNTDOWN_TIME: parseInt(process.env.COUNTDOWN_TIME || '5000', 10), // ms before a match goes live
+  INTERMISSION_TIME: parseInt(process.env.INTERMISSION_TIME || '10000', 10), // ms of results screen
+  RECONNECT_GRACE_TIME: parseInt(process.env.RECONNECT_GRACE_TIME || '30000', 10), // ms a dropped player is kept (0 = none)
+
+  // Default room rules (lobby and auto-created rooms)
+  GAME_MODE: process.env.GAME_MODE || 'ffa', // 'ffa' | 'tdm' | 'ctf' | 'koth' | 'koth_ffa' | 'gungame' | 'elim'
+  SCORE_LIMIT: parseInt(process.env.SCORE_LIMIT || '0', 10),         // 0 = mode default
+  TIME_LIMIT: parseInt(process.env.TIME_LIMIT || '0', 10),           // ms, 0 = no limit
+  FRIENDLY_FIRE: parseFloat(process.env.FRIENDLY_FIRE || '0'),       // 0-1 damage scale
+  RESPAWN_DELAY: parseInt(process.env.RESPAWN_DELAY || '2000', 10),  // ms
+
+  // Extra rooms created at startup (JSON array, see roomSettings.ts)
+  ROOMS: process.env.ROOMS || '',
+  // Mode/map/rules rotation for the default lobby (JSON array, see roomSettings.ts)
+  PLAYLIST: process.env.PLAYLIST || '',
 
   // Network / Anti-Cheat settings
   MAX_LAG_COMPENSATION: 400, // Max ms to rewind (prevents lag switching)
+  MAX_MESSAGES_PER_SECOND: parseInt(process.env.MAX_MESSAGES_PER_SECOND || '200', 10), // Per connection
+  OFFENDER_LOG: process.env.OFFENDER_LOG || '', // File to append offenders to ('' = console only)
+  ANTICHEAT_KICK_SCORE: parseInt(process.env.ANTICHEAT_KICK_SCORE || '0', 10), // Suspicion that gets a player kicked (0 = only log)
 
-  // Map seed (for consistent obstacle generation)
+  // Map seed for the default lobby (for consistent obstacle generation)
   MAP_SEED: parseInt(process.env.MAP_SEED || '12345', 10)
 } as const;
 
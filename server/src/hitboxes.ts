@@ -0,0 +1,146 @@
+// ============================================
+// HITBOXES - PER-REGION CAPSULES
+// ============================================
+// Each stance has a set of capsules (a sphere swept along a segment) in player space:
+// x = right, y = up from the feet, z = forward. They're turned by the player's yaw
+// and moved to their position, which lag compensation rewinds (see Player.getPoseAt).
+
+import { GAME_CONSTANTS, Stance, type Vec3 } from '@shooter/shared';
+
+// Body regions, for damage and headshots
+export const HitRegion = {
+  HEAD: 0,
+  TORSO: 1,
+  ARM: 2,
+  LEG: 3
+} as const;
+
+// Damage multiplier per region
+const REGION_DAMAGE = [2, 1, 0.75, 0.75];
+
+// Where a player was, facing which way, standing or crouched
+export interface Pose {
+  x: number;
+  y: number;
+  z: number;
+  yaw: number;
+  stance: number;
+}
+
+export interface BodyHit {
+  distance: number;
+  region: number;
+}
+
+interface Capsule {
+  region: number;
+  a: Vec3;
+  b: Vec3;
+  radius: number;
+}
+
+const HEAD_RADIUS = GAME_CONSTANTS.HEAD_HEIGHT / 2;
+
+function capsule(region: number, a: [number, number, number], b: [number, number, number], radius: number): Capsule {
+  return { region, a: { x: a[0], y: a[1], z: a[2] }, b: { x: b[0], y: b[1], z: b[2] }, radius };
+}
+
+// Indexed by stance. Arms reach forward to a gun held at the chest, both stances.
+const HITBOXES: Capsule[][] = [];
+
+HITBOXES[Stance.STANDING] = [
+  capsule(HitRegion.HEAD, [0, GAME_CONSTANTS.PLAYER_HEIGHT - HEAD_RADIUS, 0], [0, GAME_CONSTANTS.PLAYER_HEIGHT - HEAD_RADIUS, 0], HEAD_RADIUS),
+  capsule(HitRegion.TORSO, [0, 0.95, 0], [0, 1.3, 0], 0.22),
+  capsule(HitRegion.ARM, [0.25, 1.38, 0], [0.15, 1.25, 0.45], 0.07),
+  capsule(HitRegion.ARM, [-0.25, 1.38, 0], [0.02, 1.25, 0.45], 0.07),
+  capsule(HitRegion.LEG, [0.11, 0.1, 0], [0.11, 0.8, 0], 0.1),
+  capsule(HitRegion.LEG, [-0.11, 0.1, 0], [-0.11, 0.8, 0], 0.1)
+];
+
+// Crouched: upper body lowered and leaning in, knees bent forward
+HITBOXES[Stance.CROUCHING] = [
+  capsule(HitRegion.HEAD, [0, GAME_CONSTANTS.CROUCH_HEIGHT - HEAD_RADIUS, 0.1], [0, GAME_CONSTANTS.CROUCH_HEIGHT - HEAD_RADIUS, 0.1], HEAD_RADIUS),
+  capsule(HitRegion.TORSO, [0, 0.55, 0], [0, 0.85, 0.08], 0.22),
+  capsule(HitRegion.ARM, [0.25, 0.93, 0.08], [0.15, 0.8, 0.5], 0.07),
+  capsule(HitRegion.ARM, [-0.25, 0.93, 0.08], [0.02, 0.8, 0.5], 0.07),
+  capsule(HitRegion.LEG, [0.11, 0.1, -0.05], [0.11, 0.5, 0.3], 0.1),
+  capsule(HitRegion.LEG, [-0.11, 0.1, -0.05], [-0.11, 0.5, 0.3], 0.1)
+];
+
+export function getRegionDamage(region: number): number {
+  return REGION_DAMAGE[region] ?? 1;
+}
+
+// Player-space point to world space (forward = (sin, 0, cos), right = (cos, 0, -sin), like movement)
+function toWorld(p: Vec3, pose: Pose, sin: number, cos: number, out: Vec3): Vec3 {
+  out.x = pose.x + p.x * cos + p.z * sin;
+  out.y = pose.y + p.y;
+  out.z = pose.z - p.x * sin + p.z * cos;
+  return out;
+}
+
+// Ray vs capsule a-b (direction is unit length) - distance along the ray, or -1 on a miss
+function intersectCapsule(origin: Vec3, direction: Vec3, a: Vec3, b: Vec3, radius: number): number {
+  const bax = b.x - a.x, bay = b.y - a.y, baz = b.z - a.z;
+  const oax = origin.x - a.x, oay = origin.y - a.y, oaz = origin.z - a.z;
+
+  const baba = bax * bax + bay * bay + baz * baz;
+  const bard = bax * direction.x + bay * direction.y + baz * direction.z;
+  const baoa = bax * oax + bay * oay + baz * oaz;
+  const rdoa = direction.x * oax + direction.y * oay + direction.z * oaz;
+  const oaoa = oax * oax + oay * oay + oaz * oaz;
+
+  // Cylinder body: y is where along the axis the ray meets it
+  // (rays along the axis and spheres go straight to the caps, at the end nearer the origin)
+  let y = baoa;
+  const k2 = baba - bard * bard;
+  if (k2 > 1e-9) {
+    const k1 = baba * rdoa - baoa * bard;
+    const k0 = baba * oaoa - baoa * baoa - radius * radius * baba;
+    const h = k1 * k1 - k2 * k0;
+    if (h < 0) return -1;
+    const t = (-k1 - Math.sqrt(h)) / k2;
+    y = baoa + t * bard;
+    if (y > 0 && y < baba) return t;
+  }
+
+  // End cap: the sphere at a or b
+  const ox = y <= 0 ? oax : origin.x - b.x;
+  const oy = y <= 0 ? oay : origin.y - b.y;
+  const oz = y <= 0 ? oaz : origin.z - b.z;
+  const k1 = direction.x * ox + direction.y * oy + direction.z * oz;
+  const k0 = ox * ox + oy * oy + oz * oz - radius * radius;
+  const h = k1 * k1 - k0;
+  if (h < 0) return -1;
+  return -k1 - Math.sqrt(h);
+}
+
+const scratchA: Vec3 = { x: 0, y: 0, z: 0 };
+const scratchB: Vec3 = { x: 0, y: 0, z: 0 };
+
+// Nearest hitbox a ray enters within maxDistance (shots starting inside one don't count)
+export function intersectHitboxes(origin: Vec3, direction: Vec3, pose: Pose, maxDistance: number): BodyHit | null {
+  // Cheap reject: the ray has to pass within reach of the player
+  const reach = GAME_CONSTANTS.PLAYER_HEIGHT;
+  const cx = pose.x - origin.x;
+  const cy = pose.y + reach / 2 - origin.y;
+  const cz = pose.z - origin.z;
+  const along = cx * direction.x + cy * direction.y + cz * direction.z;
+  if (along < -reach || along > maxDistance + reach) return null;
+  if (cx * cx + cy * cy + cz * cz - along * along > reach * reach) return null;
+
+  const sin = Math.sin(pose.yaw);
+  const cos = Math.cos(pose.yaw);
+  let best: BodyHit | null = null;
+
+  for (const box of HITBOXES[pose.stance] ?? HITBOXES[Stance.STANDING]) {
+    const a = toWorld(box.a, pose, sin, cos, scratchA);
+    const b = toWorld(box.b, pose, sin, cos, scratchB);
+    const t = intersectCapsule(origin, direction, a, b, box.radius);
+    if (t > 0 && t < maxDistance && (best === null || t < best.distance)) {
+      best = { distance: t, region: box.region };
+    }
+  }
+
+  return best;
+}
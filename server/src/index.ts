@@ -3,42 +3,15 @@
 // ============================================
 
 import uWS from 'uWebSockets.js';
-import { ClientMessageType, GAME_CONSTANTS } from '@shooter/shared';
-import {
-  decodeInput,
-  decodeJoinRequest,
-  encodeWelcome,
-  getMessageType
-} from './protocol.js';
 import { CONFIG } from './config.js';
 import { initDatabase } from './database.js';
-import { Room, type SocketData } from './Room.js';
+import { GameServer } from './GameServer.js';
+import { getConfiguredRooms } from './roomSettings.js';
+import { WebSocketConnection, type SocketData } from './transport.js';
 
-// Room management
-const rooms: Map<string, Room> = new Map();
 const DEFAULT_ROOM = 'lobby';
 
-// Get or create a room
-function getOrCreateRoom(roomId: string): Room {
-  let room = rooms.get(roomId);
-  if (!room) {
-    room = new Room(roomId);
-    rooms.set(roomId, room);
-  }
-  return room;
-}
-
-// Find available room
-function findAvailableRoom(): Room {
-  for (const room of rooms.values()) {
-    if (!room.isFull) {
-      return room;
-    }
-  }
-  // Create new room
-  const newId = `room_${rooms.size + 1}`;
-  return getOrCreateRoom(newId);
-}
+const server = new GameServer();
 
 // Start server
 async function main(): Promise<void> {
@@ -51,8 +24,10 @@ async function main(): Promise<void> {
   // Initialize database
   await initDatabase();
   
-  // Create default room
-  getOrCreateRoom(DEFAULT_ROOM);
+  // Create the default lobby and any configured rooms
+  for (const { id, playlist } of getConfiguredRooms(DEFAULT_ROOM)) {
+    server.addPersistentRoom(id, playlist);
+  }
   
   // Create uWebSockets app
   const app = uWS.App();
@@ -67,80 +42,20 @@ async function main(): Promise<void> {
     // New connection
     open: (ws) => {
       console.log('[WS] New connection');
-      // Initialize socket data
-      const data = ws.getUserData();
-      data.playerId = 0;
-      data.roomId = '';
+      const connection = new WebSocketConnection(ws);
+      ws.getUserData().connection = connection;
+      server.open(connection);
     },
     
     // Message received
     message: (ws, message, isBinary) => {
-      if (!isBinary) return;
-      
-      // uWebSockets.js passes ArrayBuffer for binary messages
-      const arrayBuffer = (message as ArrayBuffer).slice(0);
-      
-      const messageType = getMessageType(arrayBuffer);
-      const data = ws.getUserData();
-      
-      switch (messageType) {
-        case ClientMessageType.JOIN: {
-          const request = decodeJoinRequest(arrayBuffer);
-          const room = findAvailableRoom();
-          const player = room.addPlayer(request.name, ws);
-          
-          if (player) {
-            console.log(`[WS] ${request.name} joined room ${room.id} as player ${player.id}`);
-            
-            // Send welcome message
-            const welcome = encodeWelcome(
-              player.id,
-              CONFIG.TICK_RATE,
-              CONFIG.MAP_SEED
-            );
-            ws.send(welcome, true);
-          } else {
-            console.log(`[WS] Failed to join - room full`);
-            ws.close();
-          }
-          break;
-        }
-        
-        case ClientMessageType.INPUT: {
-          if (data.playerId === 0 || !data.roomId) return;
-          
-          const input = decodeInput(arrayBuffer);
-          const room = rooms.get(data.roomId);
-          if (room) {
-            room.processInput(data.playerId, input);
-          }
-          break;
-        }
-        
-        case ClientMessageType.PING: {
-          // Echo back for latency measurement
-          ws.send(message, true);
-          break;
-        }
-      }
+      // uWebSockets.js only lends the ArrayBuffer for the duration of this call
+      server.message(ws.getUserData().connection, message.slice(0), isBinary);
     },
     
     // Connection closed
     close: (ws, code, message) => {
-      const data = ws.getUserData();
-      if (data.playerId && data.roomId) {
-        const room = rooms.get(data.roomId);
-        if (room) {
-          room.removePlayer(data.playerId);
-          console.log(`[WS] Player ${data.playerId} disconnected from ${data.roomId}`);
-          
-          // Clean up empty rooms (except default)
-          if (room.playerCount === 0 && room.id !== DEFAULT_ROOM) {
-            rooms.delete(room.id);
-            console.log(`[WS] Room ${room.id} removed (empty)`);
-          }
-        }
-      }
+      server.close(ws.getUserData().connection);
     }
   });
   
@@ -149,11 +64,23 @@ async function main(): Promise<void> {
     res.writeHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({
       status: 'ok',
-      rooms: rooms.size,
-      players: Array.from(rooms.values()).reduce((sum, r) => sum + r.playerCount, 0)
+      rooms: server.roomCount,
+      players: server.playerCount
     }));
   });
   
+  // Room list for the lobby
+  app.get('/rooms', (res, req) => {
+    res.writeHeader('Content-Type', 'application/json');
+    res.writeHeader('Access-Control-Allow-Origin', '*');
+    res.end(JSON.stringify(server.getRooms().map(room => ({
+      id: room.id,
+      modeName: room.modeName,
+      playerCount: room.playerCount,
+      settings: room.settings
+    }))));
+  });
+  
   // CORS headers for browser connections
   app.options('/*', (res, req) => {
     res.writeHeader('Access-Control-Allow-Origin', '*');
@@ -177,17 +104,13 @@ async function main(): Promise<void> {
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n[Server] Shutting down...');
-  for (const room of rooms.values()) {
-    room.stop();
-  }
+  server.stop();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n[Server] Received SIGTERM, shutting down...');
-  for (const room of rooms.values()) {
-    room.stop();
-  }
+  server.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,44 @@
+// ============================================
+// GAME MODE REGISTRY
+// ============================================
+
+import type { RoomSettings } from '@shooter/shared';
+import { GameMode, type GameModeOptions } from './GameMode.js';
+import { FreeForAllMode } from './FreeForAllMode.js';
+import { TeamDeathmatchMode } from './TeamDeathmatchMode.js';
+import { CaptureTheFlagMode } from './CaptureTheFlagMode.js';
+import { KingOfTheHillMode } from './KingOfTheHillMode.js';
+import { KingOfTheHillFfaMode } from './KingOfTheHillFfaMode.js';
+import { GunGameMode } from './GunGameMode.js';
+import { EliminationMode } from './EliminationMode.js';
+
+// Create the game mode a room's settings ask for (falls back to FFA)
+export function createGameMode(settings: RoomSettings): GameMode {
+  const options: GameModeOptions = {
+    // 0 lets the mode pick its own default
+    scoreLimit: settings.scoreLimit || undefined,
+    timeLimit: settings.timeLimit,
+    friendlyFire: settings.friendlyFire,
+    respawnDelay: settings.respawnDelay
+  };
+
+  switch (settings.mode) {
+    case 'tdm':
+      return new TeamDeathmatchMode(options);
+    case 'ctf':
+      return new CaptureTheFlagMode(options);
+    case 'koth':
+      return new KingOfTheHillMode(options);
+    case 'koth_ffa':
+      return new KingOfTheHillFfaMode(options);
+    case 'gungame':
+      return new GunGameMode(options);
+    case 'elim':
+      return new EliminationMode(options);
+    case 'ffa':
+      return new FreeForAllMode(options);
+    default:
+      console.warn(`[Modes] Unknown game mode "${settings.mode}", using FFA`);
+      return new FreeForAllMode(options);
+  }
+}
@@ -0,0 +1,82 @@
+// ============================================
+// ROOM SETTINGS (MODE, MAP AND RULES)
+// ============================================
+
+import type { RoomSettings } from '@shooter/shared';
+import { CONFIG } from './config.js';
+
+// A room the server creates at startup
+export interface RoomConfig {
+  id: string;
+  playlist: RoomSettings[]; // Rotated through after each match (always at least one entry)
+}
+
+type RoomEntry = Partial<RoomSettings> & { id: string; playlist?: Partial<RoomSettings>[] };
+
+// Rules for the default lobby and auto-created rooms (from env)
+export function getDefaultRoomSettings(): RoomSettings {
+  return {
+    mode: CONFIG.GAME_MODE,
+    mapSeed: CONFIG.MAP_SEED,
+    scoreLimit: CONFIG.SCORE_LIMIT,
+    timeLimit: CONFIG.TIME_LIMIT,
+    maxPlayers: CONFIG.MAX_PLAYERS_PER_ROOM,
+    friendlyFire: CONFIG.FRIENDLY_FIRE,
+    respawnDelay: CONFIG.RESPAWN_DELAY
+  };
+}
+
+// Fill in missing fields from the defaults
+export function resolveRoomSettings(overrides: Partial<RoomSettings> = {}): RoomSettings {
+  const settings = { ...getDefaultRoomSettings(), ...overrides };
+
+  // Keep values inside what the protocol can carry
+  settings.maxPlayers = Math.max(1, Math.min(32, settings.maxPlayers));
+  settings.friendlyFire = Math.max(0, Math.min(1, settings.friendlyFire));
+  settings.scoreLimit = Math.max(0, Math.min(0xffff, settings.scoreLimit));
+  settings.respawnDelay = Math.max(0, Math.min(0xffff, settings.respawnDelay));
+  settings.timeLimit = Math.max(0, Math.min(0xffffffff, Math.floor(settings.timeLimit)));
+
+  // Both go out as u32: wrap the seed here, the way the wire would, so the server builds the map the clients do
+  settings.mapSeed = settings.mapSeed >>> 0;
+
+  return settings;
+}
+
+// Playlist entries inherit anything they leave out from the room's own settings
+export function resolvePlaylist(base: Partial<RoomSettings>, entries?: Partial<RoomSettings>[]): RoomSettings[] {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return [resolveRoomSettings(base)];
+  }
+  return entries.map(entry => resolveRoomSettings({ ...base, ...entry }));
+}
+
+// Rooms to create at startup: the default lobby plus anything in ROOMS
+// ROOMS is JSON, e.g. [{ "id": "ctf", "mode": "ctf", "mapSeed": 777, "scoreLimit": 5 }]
+// PLAYLIST (lobby) and a room's "playlist" key are arrays of settings to rotate through
+export function getConfiguredRooms(defaultRoomId: string): RoomConfig[] {
+  const lobbyPlaylist = parseJSON<Partial<RoomSettings>[]>('PLAYLIST', CONFIG.PLAYLIST);
+  const rooms: RoomConfig[] = [{ id: defaultRoomId, playlist: resolvePlaylist({}, lobbyPlaylist) }];
+
+  const entries = parseJSON<RoomEntry[]>('ROOMS', CONFIG.ROOMS) ?? [];
+  for (const { id, playlist, ...overrides } of entries) {
+    if (!id || rooms.some(r => r.id === id)) {
+      console.warn(`[Config] Skipping room with missing or duplicate id "${id}"`);
+      continue;
+    }
+    rooms.push({ id, playlist: resolvePlaylist(overrides, playlist) });
+  }
+
+  return rooms;
+}
+
+// Parse a JSON env value, warning (and ignoring it) when malformed
+function parseJSON<T>(name: string, text: string): T | undefined {
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text) as T;
+  } catch (error) {
+    console.warn(`[Config] Ignoring invalid ${name} JSON:`, error);
+    return undefined;
+  }
+}
@@ -0,0 +1,51 @@
+// ============================================
+// TRANSPORT - CLIENT CONNECTIONS
+// ============================================
+
+import type { WebSocket } from 'uWebSockets.js';
+import type { ConnectionGuard } from './ConnectionGuard.js';
+
+// Close code for refused joins and kicks (4000-4999 is free for applications)
+export const CLOSE_REJECTED = 4000;
+
+// Per-connection state (set up by GameServer.open)
+export interface ConnectionData {
+  playerId: number;
+  roomId: string;
+  guard: ConnectionGuard;
+  rejected: boolean;     // REJECT sent and closing - later messages are ignored
+}
+
+// One client as the server sees it, whatever carries the bytes (WebSocket, loopback, ...)
+// send() may throw once the connection is gone
+export interface Connection {
+  data: ConnectionData;
+  readonly remoteAddress: string;
+  send(buffer: ArrayBuffer): void;
+  end(code?: number, reason?: string): void;
+}
+
+// uWebSockets.js user data - just a way back to the wrapper
+export interface SocketData {
+  connection: WebSocketConnection;
+}
+
+// A browser client over uWebSockets.js
+export class WebSocketConnection implements Connection {
+  data!: ConnectionData;
+  readonly remoteAddress: string;
+  private readonly ws: WebSocket<SocketData>;
+
+  constructor(ws: WebSocket<SocketData>) {
+    this.ws = ws;
+    this.remoteAddress = new TextDecoder().decode(ws.getRemoteAddressAsText());
+  }
+
+  send(buffer: ArrayBuffer): void {
+    this.ws.send(buffer, true);
+  }
+
+  end(code?: number, reason?: string): void {
+    this.ws.end(code, reason);
+  }
+}
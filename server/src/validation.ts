@@ -0,0 +1,73 @@
+// ============================================
+// CLIENT MESSAGE VALIDATION
+// ============================================
+
+import { ClientMessageType, GAME_CONSTANTS, INPUT_REDUNDANCY, INPUT_SIZE, SESSION_TOKEN_SIZE, type InputData } from '@shooter/shared';
+
+const MAX_NAME_LENGTH = 16;  // Characters, matches the lobby input
+const MAX_ROOM_ID_LENGTH = 32;
+const PITCH_LIMIT = Math.PI / 2 + 0.01;
+
+// Control, zero-width and bidi override characters (can't be typed, used to spoof names)
+const UNPRINTABLE = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u206f\ufeff]/g;
+
+// Why a raw client message can't be decoded, or null if its layout is sound
+// Decoders trust the buffer, so nothing reaches them without passing this
+export function validateClientMessage(buffer: ArrayBuffer): string | null {
+  const length = buffer.byteLength;
+  if (length === 0) return 'empty message';
+
+  const view = new DataView(buffer);
+  switch (view.getUint8(0)) {
+    case ClientMessageType.JOIN: {
+      // [type][name:str8] then optionally [roomId:str8], then optionally [version:u16][features:u32][sessionToken]
+      if (length < 2) return 'truncated JOIN';
+      let offset = 2 + view.getUint8(1);
+      if (offset > length) return 'JOIN name overruns the message';
+      if (offset === length) return null;
+
+      offset += 1 + view.getUint8(offset);
+      if (offset > length) return 'JOIN room id overruns the message';
+      if (offset === length || offset + 6 === length || offset + 6 + SESSION_TOKEN_SIZE === length) return null;
+      return 'JOIN has a bad length';
+    }
+
+    case ClientMessageType.INPUT: {
+      if (length < 2) return 'truncated INPUT';
+      const count = view.getUint8(1);
+      if (count === 0 || count > INPUT_REDUNDANCY) return `INPUT carries ${count} inputs`;
+      if (length !== 2 + count * INPUT_SIZE) return 'INPUT has a bad length';
+      return null;
+    }
+
+    case ClientMessageType.PING:
+      return length === 9 ? null : 'PING has a bad length';
+
+    case ClientMessageType.SNAPSHOT_ACK:
+      return length === 5 ? null : 'SNAPSHOT_ACK has a bad length';
+
+    default:
+      return `unknown message type ${view.getUint8(0)}`;
+  }
+}
+
+// Why a decoded input can't be applied, or null if it is sane
+export function validateInput(input: InputData): string | null {
+  if (input.seq === 0) return 'input seq 0';
+  if (!Number.isFinite(input.yaw)) return 'non-finite yaw';
+  if (!Number.isFinite(input.pitch) || Math.abs(input.pitch) > PITCH_LIMIT) return 'pitch out of range';
+  if (!Number.isFinite(input.timestamp)) return 'non-finite timestamp';
+  if (input.weapon >= GAME_CONSTANTS.WEAPONS.length) return `weapon ${input.weapon} doesn't exist`;
+  return null;
+}
+
+// Printable, trimmed and short - falls back to 'Player'
+export function sanitizeName(name: string): string {
+  const clean = name.replace(UNPRINTABLE, '').replace(/\s+/g, ' ').trim();
+  return Array.from(clean).slice(0, MAX_NAME_LENGTH).join('').trim() || 'Player';
+}
+
+// Room ids are only ever looked up, but keep junk out of logs
+export function sanitizeRoomId(roomId: string): string {
+  return roomId.replace(UNPRINTABLE, '').trim().slice(0, MAX_ROOM_ID_LENGTH);
+}
@@ -0,0 +1,167 @@
+// ============================================
+// GAME SERVER - MESSAGE HANDLING & OFFENSES
+// ============================================
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  INPUT_REDUNDANCY,
+  MatchPhase,
+  PROTOCOL_VERSION,
+  RejectReason,
+  ServerMessageType,
+  SUPPORTED_FEATURES,
+  decodeReject,
+  decodeSnapshot,
+  encodeInputs,
+  encodeJoinRequest,
+  encodeSnapshotAck,
+  type InputData
+} from '@shooter/shared';
+import { CONFIG } from '../src/config.js';
+import { GameServer } from '../src/GameServer.js';
+import { RecordingConnection } from './RecordingConnection.js';
+
+const TICK_MS = 1000 / 60;
+
+function makeInput(seq: number): InputData {
+  return {
+    seq, forward: true, backward: false, left: false, right: false, jump: false,
+    sprint: false, sneak: false, shoot: false, weapon: 0, yaw: 0, pitch: 0, timestamp: Date.now()
+  };
+}
+
+describe('GameServer', () => {
+  let server: GameServer;
+  let connection: RecordingConnection;
+
+  function deliver(buffer: ArrayBuffer): void {
+    server.message(connection, buffer.slice(0), true);
+  }
+
+  function join(protocolVersion: number = PROTOCOL_VERSION): void {
+    deliver(encodeJoinRequest({ name: 'tester', roomId: '', protocolVersion, features: SUPPORTED_FEATURES, sessionToken: '' }));
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    server = new GameServer();
+    connection = new RecordingConnection();
+    server.open(connection);
+  });
+
+  afterEach(() => {
+    server.stop();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('keeps a 60 Hz client whose packets arrive in one burst after a stall', () => {
+    join();
+    expect(connection.received(ServerMessageType.WELCOME)).toHaveLength(1);
+
+    const inputs: InputData[] = [];
+    let seq = 1;
+    const produce = () => {
+      inputs.push(makeInput(seq++));
+      return encodeInputs(inputs.slice(-INPUT_REDUNDANCY));
+    };
+
+    // A second of normal play
+    for (let i = 0; i < 60; i++) {
+      deliver(produce());
+      vi.advanceTimersByTime(TICK_MS);
+    }
+
+    // Packets held back for 500 ms, then delivered all at once - twice
+    for (let stall = 0; stall < 2; stall++) {
+      const held: ArrayBuffer[] = [];
+      for (let i = 0; i < 30; i++) {
+        held.push(produce());
+        vi.advanceTimersByTime(TICK_MS);
+      }
+      held.forEach(deliver);
+
+      for (let i = 0; i < 60; i++) {
+        deliver(produce());
+        vi.advanceTimersByTime(TICK_MS);
+      }
+    }
+
+    expect(connection.received(ServerMessageType.REJECT)).toHaveLength(0);
+    expect(connection.ends).toBe(0);
+  });
+
+  it('flags a client producing inputs faster than the tick rate', () => {
+    join();
+
+    // 1.5x speed: the buffer stays full, so most of these are refused
+    const inputs: InputData[] = [];
+    for (let seq = 1; seq <= 5 * 90; seq++) {
+      inputs.push(makeInput(seq));
+      deliver(encodeInputs(inputs.slice(-INPUT_REDUNDANCY)));
+      vi.advanceTimersByTime(1000 / 90);
+    }
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('flagged: input rate'));
+  });
+
+  it('ignores messages still in flight after rejecting a client', () => {
+    join(PROTOCOL_VERSION - 1);
+    for (let i = 0; i < 40; i++) {
+      deliver(encodeInputs([makeInput(i + 1)]));
+      deliver(encodeSnapshotAck(i));
+    }
+
+    const rejects = connection.received(ServerMessageType.REJECT);
+    expect(rejects).toHaveLength(1);
+    expect(decodeReject(rejects[0]).reason).toBe(RejectReason.VERSION_MISMATCH);
+    expect(connection.ends).toBe(1);
+    expect(console.warn).not.toHaveBeenCalled(); // No offenses logged
+  });
+
+  it('leaves idle players out of the minimum player count', () => {
+    join();
+    const other = new RecordingConnection();
+    server.open(other);
+    server.message(other, encodeJoinRequest({ name: 'other', roomId: '', protocolVersion: PROTOCOL_VERSION, features: SUPPORTED_FEATURES, sessionToken: '' }), true);
+    server.close(other);
+
+    vi.advanceTimersByTime(CONFIG.COUNTDOWN_TIME + 1000);
+    const snapshots = connection.received(ServerMessageType.SNAPSHOT);
+    expect(decodeSnapshot(snapshots[snapshots.length - 1], null).phase).toBe(MatchPhase.WARMUP);
+  });
+
+  it('never reuses the id of a live room', () => {
+    const saved = { ...CONFIG };
+    Object.assign(CONFIG, { MAX_PLAYERS_PER_ROOM: 1, RECONNECT_GRACE_TIME: 0 });
+    try {
+      const clients = [connection, new RecordingConnection(), new RecordingConnection()];
+      const joinAs = (client: RecordingConnection) => {
+        server.open(client);
+        server.message(client, encodeJoinRequest({ name: 'player', roomId: '', protocolVersion: PROTOCOL_VERSION, features: SUPPORTED_FEATURES, sessionToken: '' }), true);
+      };
+
+      // room_1 and room_2, then room_1 empties and goes away
+      joinAs(clients[0]);
+      joinAs(clients[1]);
+      server.close(clients[0]);
+      joinAs(clients[2]);
+
+      expect(clients[2].received(ServerMessageType.REJECT)).toHaveLength(0);
+      expect(clients[2].data.roomId).toBe('room_3');
+      expect(server.roomCount).toBe(2);
+    } finally {
+      Object.assign(CONFIG, saved);
+    }
+  });
+
+  it('accepts the first input without an offense', () => {
+    join();
+    for (let i = 0; i < 30; i++) {
+      deliver(encodeInputs([makeInput(1)]));
+    }
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+// ============================================
+// TEST CONNECTION - RECORDS WHAT THE SERVER SENDS
+// ============================================
+
+import { ConnectionGuard } from '../src/ConnectionGuard.js';
+import type { Connection, ConnectionData } from '../src/transport.js';
+
+// Records everything the server does to it, synchronously
+export class RecordingConnection implements Connection {
+  readonly remoteAddress = '127.0.0.1';
+  data: ConnectionData = { playerId: 0, roomId: '', guard: new ConnectionGuard(this.remoteAddress), rejected: false };
+  sent: ArrayBuffer[] = [];
+  ends: number = 0;
+
+  send(buffer: ArrayBuffer): void {
+    this.sent.push(buffer.slice(0));
+  }
+
+  end(): void {
+    this.ends++;
+  }
+
+  received(type: number): ArrayBuffer[] {
+    return this.sent.filter((buffer) => new Uint8Array(buffer)[0] === type);
+  }
+}
@@ -0,0 +1,155 @@
+// ============================================
+// MOVEMENT DETERMINISM - SERVER vs CLIENT PREDICTION
+// ============================================
+// The same recorded inputs go through Player.processInput (server) and
+// PlayerController.applyInput (client); every step has to land in exactly the same place
+
+import { describe, expect, it } from 'vitest';
+import {
+  GAME_CONSTANTS,
+  ObstacleGrid,
+  RampDirection,
+  SUPPORTED_FEATURES,
+  Stance,
+  generateObstacles,
+  type InputData,
+  type Obstacle
+} from '@shooter/shared';
+import { PlayerController } from '../../client/src/PlayerController.js';
+import { Player } from '../src/Player.js';
+import { RecordingConnection } from './RecordingConnection.js';
+
+const DT = 1 / GAME_CONSTANTS.TICK_RATE;
+
+// Along +Z from the origin: a low step, a ramp up to a platform, then a drop back down
+const COURSE: Obstacle[] = [
+  { x: 0, z: 4, width: 6, height: 0.4, depth: 2, ramp: RampDirection.NONE },
+  { x: 0, z: 9, width: 6, height: 2, depth: 2 / GAME_CONSTANTS.RAMP_SLOPE, ramp: RampDirection.NORTH },
+  { x: 0, z: 13, width: 6, height: 2, depth: 4, ramp: RampDirection.NONE }
+];
+
+type Keys = Partial<Omit<InputData, 'seq' | 'timestamp' | 'yaw' | 'pitch'>>;
+
+function makeInput(seq: number, keys: Keys, yaw: number): InputData {
+  return {
+    seq, forward: false, backward: false, left: false, right: false, jump: false,
+    sprint: false, sneak: false, shoot: false, weapon: 0, yaw, pitch: 0, timestamp: 0,
+    ...keys
+  };
+}
+
+// [ticks, keys] segments played back to back, with a gentle weave in the aim
+function record(segments: [number, Keys][]): InputData[] {
+  const inputs: InputData[] = [];
+  for (const [ticks, keys] of segments) {
+    for (let i = 0; i < ticks; i++) {
+      const seq = inputs.length + 1;
+      inputs.push(makeInput(seq, keys, 0.1 * Math.sin(seq / 40)));
+    }
+  }
+  return inputs;
+}
+
+// Same seed, same inputs - random keys held for a random number of ticks
+function randomInputs(seed: number, count: number): InputData[] {
+  let s = seed;
+  const random = () => {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    return s / 0x7fffffff;
+  };
+
+  const inputs: InputData[] = [];
+  let keys: Keys = {};
+  let yaw = 0;
+  let hold = 0;
+  while (inputs.length < count) {
+    if (hold-- <= 0) {
+      hold = 5 + Math.floor(random() * 60);
+      keys = {
+        forward: random() < 0.7, backward: random() < 0.1, left: random() < 0.2, right: random() < 0.2,
+        jump: random() < 0.15, sprint: random() < 0.3, sneak: random() < 0.25
+      };
+    }
+    yaw += (random() - 0.5) * 0.2;
+    inputs.push(makeInput(inputs.length + 1, keys, yaw));
+  }
+  return inputs;
+}
+
+interface Trace {
+  mismatch: string | null; // First step where the two disagree
+  maxY: number;
+  stepTopTicks: number;    // Grounded on top of the low step
+  airborneTicks: number;
+  crouchedTicks: number;
+}
+
+// Replay through both sides, comparing after every input
+function replay(inputs: InputData[], obstacles: ObstacleGrid, start: { x: number; z: number }): Trace {
+  const player = new Player(1, 'server', new RecordingConnection(), SUPPORTED_FEATURES);
+  player.x = start.x;
+  player.z = start.z;
+
+  const controller = new PlayerController({ rotation: { y: 0 } }, null, GAME_CONSTANTS, obstacles);
+  controller.position.x = start.x;
+  controller.position.z = start.z;
+
+  const trace: Trace = { mismatch: null, maxY: 0, stepTopTicks: 0, airborneTicks: 0, crouchedTicks: 0 };
+
+  for (const input of inputs) {
+    player.processInput(input, DT, obstacles);
+    controller.applyInput({ ...input }, DT);
+
+    const server = [player.x, player.y, player.z, player.vx, player.vy, player.vz, player.grounded, player.stance];
+    const client = [
+      controller.position.x, controller.position.y, controller.position.z,
+      controller.velocity.x, controller.velocity.y, controller.velocity.z,
+      controller.grounded, controller.stance
+    ];
+    if (trace.mismatch === null && server.some((value, i) => !Object.is(value, client[i]))) {
+      trace.mismatch = `seq ${input.seq}: server ${server.join(', ')} / client ${client.join(', ')}`;
+    }
+
+    trace.maxY = Math.max(trace.maxY, player.y);
+    if (player.grounded && player.y === COURSE[0].height) trace.stepTopTicks++;
+    if (!player.grounded) trace.airborneTicks++;
+    if (player.stance === Stance.CROUCHING) trace.crouchedTicks++;
+  }
+
+  return trace;
+}
+
+describe('movement determinism', () => {
+  it('server and client agree over steps, ramps and stance changes', () => {
+    const inputs = record([
+      [30, {}],                                 // Land
+      [50, { forward: true }],                  // Up the low step
+      [40, { forward: true, sneak: true }],     // Crouch-walk off it and onto the ramp
+      [40, { forward: true, sprint: true }],    // Stand back up and run up the ramp
+      [20, { forward: true, jump: true }],      // Hop on the platform
+      [30, { left: true, sneak: true }],
+      [30, { right: true, sprint: true }],
+      [60, { forward: true }],                  // Off the far edge
+      [40, { backward: true, jump: true }]
+    ]);
+
+    const trace = replay(inputs, new ObstacleGrid(COURSE), { x: 0, z: 0 });
+
+    expect(trace.mismatch).toBeNull();
+
+    // The recording really went where it was meant to
+    expect(trace.stepTopTicks).toBeGreaterThan(0);
+    expect(trace.maxY).toBeGreaterThanOrEqual(COURSE[2].height);
+    expect(trace.airborneTicks).toBeGreaterThan(0);
+    expect(trace.crouchedTicks).toBeGreaterThan(0);
+  });
+
+  it('server and client agree on a random walk across a generated map', () => {
+    const obstacles = new ObstacleGrid(generateObstacles(12345));
+    const trace = replay(randomInputs(42, 60 * 60), obstacles, { x: 0, z: 0 });
+
+    expect(trace.mismatch).toBeNull();
+    expect(trace.airborneTicks).toBeGreaterThan(0);
+    expect(trace.crouchedTicks).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,100 @@
+// ============================================
+// FIRE RATE - SERVER vs CLIENT, SAME INPUTS FIRE
+// ============================================
+// Recorded firing inputs go through Player.canShoot (server) and PlayerController.canShoot
+// (client); both have to fire on exactly the same seqs, or tracers and hits use different spread
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { GAME_CONSTANTS, ObstacleGrid, SUPPORTED_FEATURES, getFireInterval, type InputData } from '@shooter/shared';
+import { PlayerController } from '../../client/src/PlayerController.js';
+import { Player } from '../src/Player.js';
+import { RecordingConnection } from './RecordingConnection.js';
+
+const DT = 1 / GAME_CONSTANTS.TICK_RATE;
+const PISTOL = 0;
+const SMG = 1;
+const RIFLE = 2;
+const SHOTGUN = 3;
+
+function makeInput(seq: number, shoot: boolean, weapon: number): InputData {
+  return {
+    seq, forward: false, backward: false, left: false, right: false, jump: false,
+    sprint: false, sneak: false, shoot, weapon, yaw: 0, pitch: 0, timestamp: 0
+  };
+}
+
+// [ticks, weapon, pattern] segments: pattern says whether the trigger is down on each tick of the segment
+function record(segments: [number, number, (tick: number) => boolean][]): InputData[] {
+  const inputs: InputData[] = [];
+  for (const [ticks, weapon, pattern] of segments) {
+    for (let i = 0; i < ticks; i++) {
+      inputs.push(makeInput(inputs.length + 1, pattern(i), weapon));
+    }
+  }
+  return inputs;
+}
+
+const held = () => true;
+
+// Client: one input per fixed step, fired from the prediction loop like Game does
+function clientShots(inputs: InputData[]): number[] {
+  const controller = new PlayerController({ rotation: { y: 0 } }, null, GAME_CONSTANTS, new ObstacleGrid([]));
+  const fired: number[] = [];
+  for (const input of inputs) {
+    controller.applyInput(input, DT);
+    if (input.shoot && controller.canShoot(input, input.weapon)) fired.push(input.seq);
+  }
+  return fired;
+}
+
+// Server: the same inputs arrive late and in bursts, and are played out 1-2 per tick on its own clock
+function serverShots(inputs: InputData[]): number[] {
+  const player = new Player(1, 'server', new RecordingConnection(), SUPPORTED_FEATURES);
+  const obstacles = new ObstacleGrid([]);
+  const fired: number[] = [];
+  let next = 0;
+  let tick = 0;
+  while (next < inputs.length) {
+    vi.advanceTimersByTime(tick % 50 < 10 ? 40 : 1000 / 60); // Stalls now and then
+    const count = tick % 3 === 0 ? 2 : 1;
+    for (let i = 0; i < count && next < inputs.length; i++) {
+      const input = inputs[next++];
+      player.processInput(input, DT, obstacles);
+      if (input.shoot && player.canShoot(input.seq)) fired.push(input.seq);
+    }
+    tick++;
+  }
+  return fired;
+}
+
+describe('fire rate', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('counts ticks from the weapon fire rates', () => {
+    expect([PISTOL, SMG, RIFLE, SHOTGUN].map(getFireInterval)).toEqual([24, 6, 9, 48]);
+  });
+
+  it('fires on the same seqs on the server and the client', () => {
+    const inputs = record([
+      [60, SMG, held],                          // Full auto
+      [20, SMG, () => false],
+      [90, PISTOL, (i) => i % 7 < 3],           // Tapping faster than the pistol allows
+      [100, SHOTGUN, held],
+      [5, RIFLE, held],                         // Switch right after a shotgun blast
+      [120, RIFLE, (i) => (i * 37) % 11 < 6],   // Ragged trigger
+      [60, SMG, (i) => i % 13 !== 0]
+    ]);
+
+    const client = clientShots(inputs);
+    const server = serverShots(inputs);
+
+    expect(server).toEqual(client);
+    expect(client.slice(0, 10)).toEqual([1, 7, 13, 19, 25, 31, 37, 43, 49, 55]); // SMG: every 6th input
+  });
+});
@@ -0,0 +1,85 @@
+// ============================================
+// LOOPBACK - CLIENT NETWORK MANAGER AGAINST AN IN-PROCESS SERVER
+// ============================================
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getSnapshotBaselineTick, getMessageType, ServerMessageType } from '@shooter/shared';
+import { NetworkManager } from '../../client/src/NetworkManager.js';
+import { GameServer } from '../src/GameServer.js';
+import { connectLoopback } from '../src/LoopbackTransport.js';
+
+describe('loopback', () => {
+  let server: GameServer;
+  let network: NetworkManager;
+  let welcomes: any[];
+  let snapshots: any[];
+  let snapshotBuffers: ArrayBuffer[];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    server = new GameServer();
+    network = new NetworkManager('', () => connectLoopback(server));
+
+    welcomes = [];
+    snapshots = [];
+    snapshotBuffers = [];
+    network.onWelcome = (welcome: any) => welcomes.push(welcome);
+    network.onSnapshot = (snapshot: any) => snapshots.push(snapshot);
+
+    // Keep the raw snapshots too, to see which baseline the server used
+    const handleMessage = network.handleMessage.bind(network);
+    network.handleMessage = (data: ArrayBuffer) => {
+      if (getMessageType(data) === ServerMessageType.SNAPSHOT) snapshotBuffers.push(data);
+      handleMessage(data);
+    };
+  });
+
+  afterEach(async () => {
+    network.disconnect();
+    await vi.advanceTimersByTimeAsync(0); // Let the close go through
+    server.stop();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('joins, receives snapshots and gets deltas once it acks', async () => {
+    network.connect('tester');
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(welcomes).toHaveLength(1);
+    const { playerId } = welcomes[0];
+    expect(server.playerCount).toBe(1);
+
+    expect(snapshots.length).toBeGreaterThan(10);
+    expect(snapshots[snapshots.length - 1].players.map((p: any) => p.id)).toContain(playerId);
+
+    // The first snapshot has nothing to build on; later ones are deltas against acked ticks
+    expect(getSnapshotBaselineTick(snapshotBuffers[0])).toBe(0);
+    const baseline = getSnapshotBaselineTick(snapshotBuffers[snapshotBuffers.length - 1]);
+    expect(baseline).toBeGreaterThan(0);
+    expect(snapshots.map((s) => s.tick)).toContain(baseline);
+  });
+
+  it('resumes the same player after the connection drops', async () => {
+    network.connect('tester');
+    await vi.advanceTimersByTimeAsync(200);
+    const first = welcomes[0];
+
+    // Drop it - the manager reconnects on its own with the session token
+    network.transport.close();
+    await vi.advanceTimersByTimeAsync(100);
+    expect(welcomes).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(welcomes).toHaveLength(2);
+    expect(welcomes[1].playerId).toBe(first.playerId);
+    expect(welcomes[1].sessionToken).toBe(first.sessionToken);
+    expect(server.playerCount).toBe(1);
+
+    // And snapshots flow again on the new connection
+    const count = snapshots.length;
+    await vi.advanceTimersByTimeAsync(200);
+    expect(snapshots.length).toBeGreaterThan(count);
+  });
+});
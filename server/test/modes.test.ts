@@ -0,0 +1,225 @@
+// ============================================
+// GAME MODES - IDLE PLAYERS, KOTH FFA, SPAWNS
+// ============================================
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  FlagState,
+  GAME_CONSTANTS,
+  MatchPhase,
+  ObstacleGrid,
+  RampDirection,
+  SUPPORTED_FEATURES,
+  Team,
+  ZoneState,
+  checkCollision,
+  type Obstacle
+} from '@shooter/shared';
+import { CaptureTheFlagMode } from '../src/CaptureTheFlagMode.js';
+import { EliminationMode } from '../src/EliminationMode.js';
+import { FreeForAllMode } from '../src/FreeForAllMode.js';
+import type { GameMode } from '../src/GameMode.js';
+import { KingOfTheHillFfaMode } from '../src/KingOfTheHillFfaMode.js';
+import { KingOfTheHillMode } from '../src/KingOfTheHillMode.js';
+import { Player } from '../src/Player.js';
+import { TeamDeathmatchMode } from '../src/TeamDeathmatchMode.js';
+import { RecordingConnection } from './RecordingConnection.js';
+
+const DT = 1 / 60;
+const obstacles = new ObstacleGrid([]);
+
+// Players joined to the mode, in join order (team modes alternate red, blue)
+function join(mode: GameMode, count: number): Map<number, Player> {
+  const players = new Map<number, Player>();
+  for (let id = 1; id <= count; id++) {
+    const player = new Player(id, `player${id}`, new RecordingConnection(), SUPPORTED_FEATURES);
+    mode.onPlayerJoin(player, obstacles);
+    players.set(id, player);
+  }
+  return players;
+}
+
+// What Room.disconnectPlayer does to the player
+function goIdle(mode: GameMode, player: Player): void {
+  player.connection = null;
+  player.idleSince = Date.now();
+  mode.onPlayerIdle(player);
+}
+
+function runFor(mode: GameMode, players: Map<number, Player>, seconds: number): void {
+  for (let i = 0; i < seconds / DT; i++) {
+    mode.tick(players, DT);
+  }
+}
+
+describe('idle players', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('do not contest a King of the Hill zone', () => {
+    const mode = new KingOfTheHillMode();
+    mode.reset();
+    const players = join(mode, 2);
+    const blue = players.get(2)!;
+    for (const player of players.values()) {
+      player.x = 0;
+      player.z = 0;
+    }
+
+    mode.tick(players, DT);
+    expect(mode.getEntities()[0].state).toBe(ZoneState.CONTESTED);
+
+    goIdle(mode, blue);
+    runFor(mode, players, 4);
+    expect(mode.getEntities()[0]).toMatchObject({ state: ZoneState.HELD, team: Team.RED });
+  });
+
+  it('drop a carried flag and cannot pick it up again', () => {
+    const mode = new CaptureTheFlagMode();
+    const players = join(mode, 2);
+    const red = players.get(1)!;
+    const blue = players.get(2)!;
+    const blueFlag = mode.getEntities()[Team.BLUE - 1];
+
+    // Keep the defender well away, or they could touch the dropped flag and return it
+    blue.x = 0;
+    blue.z = 0;
+
+    red.x = blueFlag.x;
+    red.z = blueFlag.z;
+    mode.tick(players, DT);
+    expect(blueFlag).toMatchObject({ state: FlagState.CARRIED, carrierId: red.id });
+
+    goIdle(mode, red);
+    mode.tick(players, DT);
+    expect(blueFlag).toMatchObject({ state: FlagState.DROPPED, carrierId: 0 });
+  });
+
+  it('are not left standing in an Elimination round', () => {
+    const mode = new EliminationMode();
+    const players = join(mode, 2);
+    mode.onPhaseChange(MatchPhase.LIVE, players);
+
+    const [active, idle] = players.values();
+    goIdle(mode, idle);
+    mode.tick(players, DT);
+
+    expect(mode.shouldEndGame(players)).toBe(true);
+    expect(mode.getWinners(players)).toEqual([active]);
+    expect(idle.health).toBeGreaterThan(0);
+  });
+});
+
+describe('King of the Hill FFA', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function setup(count: number): { mode: KingOfTheHillFfaMode; players: Map<number, Player> } {
+    const mode = new KingOfTheHillFfaMode();
+    mode.reset();
+    const players = join(mode, count);
+    for (const player of players.values()) {
+      player.x = 20;
+      player.z = 20;
+    }
+    return { mode, players };
+  }
+
+  it('lets a single player capture and hold the zone for themselves', () => {
+    const { mode, players } = setup(2);
+    const holder = players.get(1)!;
+    holder.x = 0;
+    holder.z = 0;
+
+    runFor(mode, players, 3.5); // Captured after 3s, holding for the rest
+    const zone = mode.getEntities()[0];
+    expect(zone).toMatchObject({ state: ZoneState.HELD, team: Team.NONE, carrierId: holder.id });
+    expect(holder.team).toBe(Team.NONE);
+
+    runFor(mode, players, 10);
+    expect(holder.score).toBe(10);
+    expect(players.get(2)!.score).toBe(0);
+  });
+
+  it('is contested by a second player and ends at the score limit', () => {
+    const { mode, players } = setup(2);
+    const [first, second] = players.values();
+    first.x = first.z = 0;
+    runFor(mode, players, 4);
+
+    second.x = second.z = 1;
+    runFor(mode, players, 5);
+    expect(mode.getEntities()[0].state).toBe(ZoneState.CONTESTED);
+    const held = first.score;
+
+    second.isDead = true;
+    runFor(mode, players, 101);
+    expect(first.score).toBeGreaterThan(held);
+    expect(mode.shouldEndGame(players)).toBe(true);
+    expect(mode.getWinners(players)).toEqual([first]);
+  });
+});
+
+describe('spawn positions', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Crates on a grid over the whole map - a random spot lands in one about half the time
+  function crateField(size: number, height: number): ObstacleGrid {
+    const crates: Obstacle[] = [];
+    const half = GAME_CONSTANTS.MAP_SIZE / 2;
+    for (let x = -half; x <= half; x += 4) {
+      for (let z = -half; z <= half; z += 4) {
+        crates.push({ x, z, width: size, height, depth: size, ramp: RampDirection.NONE });
+      }
+    }
+    return new ObstacleGrid(crates);
+  }
+
+  const modes: [string, () => GameMode][] = [
+    ['Free For All', () => new FreeForAllMode()],
+    ['Team Deathmatch', () => new TeamDeathmatchMode()],
+    ['Elimination', () => new EliminationMode()]
+  ];
+
+  for (const [name, create] of modes) {
+    it(`keeps ${name} spawns out of obstacles`, () => {
+      const mode = create();
+      const field = crateField(2, 3);
+      const players = [...join(mode, 2).values()];
+
+      for (let i = 0; i < 200; i++) {
+        const pos = mode.getSpawnPosition(players[i % 2], field);
+        expect(pos.y).toBe(0);
+        expect(checkCollision(pos.x, pos.y, pos.z, GAME_CONSTANTS.PLAYER_RADIUS, GAME_CONSTANTS.PLAYER_HEIGHT, field)).toBe(false);
+      }
+    });
+  }
+
+  it('stands players on top when there is no open floor', () => {
+    const mode = new TeamDeathmatchMode();
+    const [player] = join(mode, 1).values();
+    const floor = new ObstacleGrid([
+      { x: 0, z: 0, width: GAME_CONSTANTS.MAP_SIZE, height: 1.5, depth: GAME_CONSTANTS.MAP_SIZE, ramp: RampDirection.NONE }
+    ]);
+
+    const pos = mode.getSpawnPosition(player, floor);
+    expect(pos.y).toBe(1.5);
+    expect(checkCollision(pos.x, pos.y, pos.z, GAME_CONSTANTS.PLAYER_RADIUS, GAME_CONSTANTS.PLAYER_HEIGHT, floor)).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+// ============================================
+// ROOM SETTINGS - VALUES THE PROTOCOL CAN CARRY
+// ============================================
+
+import { describe, expect, it } from 'vitest';
+import { decodeMapChange, encodeMapChange } from '@shooter/shared';
+import { resolveRoomSettings } from '../src/roomSettings.js';
+
+// What a client gets for these settings
+function overTheWire(overrides: Parameters<typeof resolveRoomSettings>[0]) {
+  const settings = resolveRoomSettings(overrides);
+  return { settings, received: decodeMapChange(encodeMapChange({ roomId: 'r', modeName: 'm', settings })).settings };
+}
+
+describe('resolveRoomSettings', () => {
+  it.each([
+    ['negative', -1, 0xffffffff],
+    ['above 2^32', 2 ** 32 + 5, 5],
+    ['fractional', 777.9, 777],
+    ['in range', 0xdeadbeef, 0xdeadbeef]
+  ])('wraps a %s map seed to the u32 the client receives', (_, mapSeed, expected) => {
+    const { settings, received } = overTheWire({ mapSeed });
+    expect(settings.mapSeed).toBe(expected);
+    expect(received.mapSeed).toBe(settings.mapSeed);
+  });
+
+  it.each([
+    [-5000, 0],
+    [2 ** 33, 0xffffffff],
+    [90000.5, 90000]
+  ])('clamps a time limit of %s to %s', (timeLimit, expected) => {
+    const { settings, received } = overTheWire({ timeLimit });
+    expect(settings.timeLimit).toBe(expected);
+    expect(received.timeLimit).toBe(settings.timeLimit);
+  });
+
+  it('sends every setting unchanged once resolved', () => {
+    const { settings, received } = overTheWire({ mode: 'ctf', mapSeed: -42, timeLimit: -1, scoreLimit: 1e6, maxPlayers: 99 });
+    expect(received).toEqual(settings);
+  });
+});
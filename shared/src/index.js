@@ -1,3 +0,0 @@
-// Main export file for @shooter/shared package
-export * from './types.js';
-//# sourceMappingURL=index.js.map
\ No newline at end of file
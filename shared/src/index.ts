@@ -1,3 +1,8 @@
 // Main export file for @shooter/shared package
 
 export * from './types.js';
+export * from './quantize.js';
+export * from './protocol.js';
+export * from './spread.js';
+export * from './obstacles.js';
+export * from './movement.js';
@@ -0,0 +1,178 @@
+// ============================================
+// MOVEMENT - ONE SIMULATION STEP FOR CLIENT AND SERVER
+// ============================================
+// The server runs it for every input it applies, the client for prediction and replay.
+// Same state, input and fixed timestep in, same state out - there is no second copy to drift.
+
+import { GAME_CONSTANTS, Stance, type InputData } from './types.js';
+import { getSurfaceHeight, type Obstacle, type ObstacleGrid } from './obstacles.js';
+
+// Surfaces this close above the feet still count as ground (rounding)
+const GROUND_EPSILON = 1e-4;
+
+// What a step reads and updates (the server's Player has these fields itself)
+export interface MovementState {
+  x: number;
+  y: number;
+  z: number;
+  vx: number;
+  vy: number;
+  vz: number;
+  grounded: boolean;
+  stance: number;
+}
+
+// The parts of an input that move the player
+export type MovementInput = Pick<InputData, 'forward' | 'backward' | 'left' | 'right' | 'jump' | 'sprint' | 'sneak' | 'yaw'>;
+
+// Eyes above the feet (camera and shot origin)
+export function getEyeHeight(stance: number): number {
+  return stance === Stance.CROUCHING ? GAME_CONSTANTS.CROUCH_EYE_HEIGHT : GAME_CONSTANTS.EYE_HEIGHT;
+}
+
+// Height of an obstacle's top where the player's footprint meets it (-1 if they don't overlap)
+function getFootprintHeight(x: number, z: number, radius: number, obstacle: Obstacle): number {
+  const halfW = obstacle.width / 2;
+  const halfD = obstacle.depth / 2;
+
+  // AABB vs cylinder approximation (treat player as AABB)
+  const closestX = Math.max(obstacle.x - halfW, Math.min(x, obstacle.x + halfW));
+  const closestZ = Math.max(obstacle.z - halfD, Math.min(z, obstacle.z + halfD));
+
+  const distX = x - closestX;
+  const distZ = z - closestZ;
+  const distSq = distX * distX + distZ * distZ;
+
+  if (distSq >= radius * radius) return -1;
+  return getSurfaceHeight(obstacle, closestX, closestZ);
+}
+
+// Check collision with the obstacles near the player
+export function checkCollision(
+  x: number, y: number, z: number,
+  radius: number, height: number,
+  obstacles: ObstacleGrid
+): boolean {
+  for (const obs of obstacles.queryBox(x - radius, z - radius, x + radius, z + radius)) {
+    // Check Y against the top where the player stands over it
+    const top = getFootprintHeight(x, z, radius, obs);
+    if (top >= 0 && y < top && y + height > 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Highest surface under the player's footprint that isn't above maxHeight (the floor is 0)
+export function getGroundHeight(x: number, z: number, radius: number, maxHeight: number, obstacles: ObstacleGrid): number {
+  let ground = 0;
+  for (const obs of obstacles.queryBox(x - radius, z - radius, x + radius, z + radius)) {
+    const top = getFootprintHeight(x, z, radius, obs);
+    if (top > ground && top <= maxHeight + GROUND_EPSILON) {
+      ground = top;
+    }
+  }
+  return ground;
+}
+
+// Advance one player by one input
+export function stepMovement(state: MovementState, input: MovementInput, deltaTime: number, obstacles: ObstacleGrid): void {
+  const radius = GAME_CONSTANTS.PLAYER_RADIUS;
+  const height = GAME_CONSTANTS.PLAYER_HEIGHT;
+  const step = GAME_CONSTANTS.STEP_HEIGHT;
+
+  // Sneaking crouches (sprinting stands back up)
+  state.stance = input.sneak && !input.sprint ? Stance.CROUCHING : Stance.STANDING;
+
+  const speed = input.sprint ? GAME_CONSTANTS.MOVE_SPEED * GAME_CONSTANTS.SPRINT_MULTIPLIER :
+    input.sneak ? GAME_CONSTANTS.MOVE_SPEED * GAME_CONSTANTS.SNEAK_MULTIPLIER :
+      GAME_CONSTANTS.MOVE_SPEED;
+
+  // Input direction (local)
+  let dx = 0;
+  let dz = 0;
+
+  if (input.forward) dz += 1;
+  if (input.backward) dz -= 1;
+  if (input.left) dx -= 1;
+  if (input.right) dx += 1;
+
+  // Normalize if moving diagonally
+  if (dx !== 0 || dz !== 0) {
+    const len = Math.sqrt(dx * dx + dz * dz);
+    dx /= len;
+    dz /= len;
+  }
+
+  // Rotate to world space: yaw = 0 looks at +Z, PI/2 at +X
+  // Forward vector: (sin, 0, cos), right vector: (cos, 0, -sin)
+  const sin = Math.sin(input.yaw);
+  const cos = Math.cos(input.yaw);
+
+  // Horizontal velocity responds instantly
+  state.vx = (dx * cos + dz * sin) * speed;
+  state.vz = (-dx * sin + dz * cos) * speed;
+
+  // Jump
+  if (input.jump && state.grounded) {
+    state.vy = GAME_CONSTANTS.JUMP_FORCE;
+    state.grounded = false;
+  }
+
+  // Only grounded players step up and stick to slopes
+  const grounded = state.grounded;
+
+  // Apply gravity
+  state.vy -= GAME_CONSTANTS.GRAVITY * deltaTime;
+
+  let x = state.x;
+  let y = state.y;
+  let z = state.z;
+
+  // Check X collision (walking into a low ledge or up a ramp steps onto it)
+  const newX = x + state.vx * deltaTime;
+  if (!checkCollision(newX, y, z, radius, height, obstacles)) {
+    x = newX;
+  } else if (grounded && !checkCollision(newX, y + step, z, radius, height, obstacles)) {
+    x = newX;
+    y = getGroundHeight(x, z, radius, y + step, obstacles);
+  } else {
+    state.vx = 0;
+  }
+
+  // Check Z collision
+  const newZ = z + state.vz * deltaTime;
+  if (!checkCollision(x, y, newZ, radius, height, obstacles)) {
+    z = newZ;
+  } else if (grounded && !checkCollision(x, y + step, newZ, radius, height, obstacles)) {
+    z = newZ;
+    y = getGroundHeight(x, z, radius, y + step, obstacles);
+  } else {
+    state.vz = 0;
+  }
+
+  // Map bounds check
+  const halfMap = GAME_CONSTANTS.MAP_SIZE / 2 - radius;
+  x = Math.max(-halfMap, Math.min(halfMap, x));
+  z = Math.max(-halfMap, Math.min(halfMap, z));
+
+  // Check Y collision: land on the highest surface below the feet
+  // (walking, stay on it down ramps and low steps instead of falling off each one)
+  const groundY = getGroundHeight(x, z, radius, y, obstacles);
+  let newY = y + state.vy * deltaTime;
+  state.grounded = false;
+
+  if (newY <= groundY || (grounded && state.vy <= 0 && y - groundY <= step)) {
+    newY = groundY;
+    state.vy = 0;
+    state.grounded = true;
+  } else if (checkCollision(x, newY, z, radius, height, obstacles)) {
+    // Ceiling
+    newY = y;
+    state.vy = 0;
+  }
+
+  state.x = x;
+  state.y = newY;
+  state.z = z;
+}
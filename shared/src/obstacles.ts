@@ -0,0 +1,380 @@
+// ============================================
+// OBSTACLES - MAP GENERATION & SPATIAL GRID
+// ============================================
+// The map is generated from its seed on both sides; ObstacleGrid buckets the boxes and
+// ramps into a uniform XZ grid, so collision checks only look at nearby obstacles and
+// rays only at obstacles in the cells they pass through
+
+import { GAME_CONSTANTS, RampDirection, type Vec3 } from './types.js';
+
+// Obstacle representation for collision
+export interface Obstacle {
+  x: number;
+  z: number;
+  width: number;
+  height: number;
+  depth: number;
+  ramp: number; // RampDirection (NONE = box)
+}
+
+// Generate map obstacles from seed (deterministic)
+export function generateObstacles(seed: number): Obstacle[] {
+  const obstacles: Obstacle[] = [];
+  const mapSize = GAME_CONSTANTS.MAP_SIZE;
+  const count = GAME_CONSTANTS.OBSTACLE_COUNT;
+  
+  // Simple seeded random
+  let s = seed;
+  const random = () => {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    return s / 0x7fffffff;
+  };
+  
+  for (let i = 0; i < count; i++) {
+    const width = 1 + random() * 4;
+    const height = 2 + random() * 6;
+    const depth = 1 + random() * 4;
+    const x = (random() - 0.5) * (mapSize - width);
+    const z = (random() - 0.5) * (mapSize - depth);
+    
+    obstacles.push({ x, z, width, height, depth, ramp: RampDirection.NONE });
+  }
+  
+  // Add boundary walls
+  const wallThickness = 1;
+  const halfSize = mapSize / 2;
+  
+  // North wall
+  obstacles.push({ x: 0, z: halfSize, width: mapSize, height: 5, depth: wallThickness, ramp: RampDirection.NONE });
+  // South wall
+  obstacles.push({ x: 0, z: -halfSize, width: mapSize, height: 5, depth: wallThickness, ramp: RampDirection.NONE });
+  // East wall
+  obstacles.push({ x: halfSize, z: 0, width: wallThickness, height: 5, depth: mapSize, ramp: RampDirection.NONE });
+  // West wall
+  obstacles.push({ x: -halfSize, z: 0, width: wallThickness, height: 5, depth: mapSize, ramp: RampDirection.NONE });
+
+  // Ramps up the lower boxes, on a random side (drawn after the boxes, so those don't change)
+  let ramps = 0;
+  for (let i = 0; i < count && ramps < GAME_CONSTANTS.RAMP_COUNT; i++) {
+    const box = obstacles[i];
+    if (box.height > GAME_CONSTANTS.RAMP_MAX_HEIGHT) continue;
+
+    const ramp = placeRamp(box, Math.floor(random() * 4), halfSize - wallThickness / 2);
+    if (ramp) {
+      obstacles.push(ramp);
+      ramps++;
+    }
+  }
+  
+  return obstacles;
+}
+
+// Ramp against one side of a box (0-3 = north, south, east, west), rising to its top - null if it leaves the map
+function placeRamp(box: Obstacle, side: number, limit: number): Obstacle | null {
+  const length = box.height / GAME_CONSTANTS.RAMP_SLOPE;
+  let ramp: Obstacle;
+
+  switch (side) {
+    case 0:
+      ramp = { x: box.x, z: box.z + (box.depth + length) / 2, width: box.width, height: box.height, depth: length, ramp: RampDirection.SOUTH };
+      break;
+    case 1:
+      ramp = { x: box.x, z: box.z - (box.depth + length) / 2, width: box.width, height: box.height, depth: length, ramp: RampDirection.NORTH };
+      break;
+    case 2:
+      ramp = { x: box.x + (box.width + length) / 2, z: box.z, width: length, height: box.height, depth: box.depth, ramp: RampDirection.WEST };
+      break;
+    default:
+      ramp = { x: box.x - (box.width + length) / 2, z: box.z, width: length, height: box.height, depth: box.depth, ramp: RampDirection.EAST };
+      break;
+  }
+
+  if (Math.abs(ramp.x) + ramp.width / 2 > limit || Math.abs(ramp.z) + ramp.depth / 2 > limit) {
+    return null;
+  }
+  return ramp;
+}
+
+// Top of an obstacle at a point over it (a ramp's top rises toward its direction)
+export function getSurfaceHeight(obstacle: Obstacle, x: number, z: number): number {
+  const halfW = obstacle.width / 2;
+  const halfD = obstacle.depth / 2;
+  let t: number;
+
+  switch (obstacle.ramp) {
+    case RampDirection.NORTH: t = (z - (obstacle.z - halfD)) / obstacle.depth; break;
+    case RampDirection.SOUTH: t = (obstacle.z + halfD - z) / obstacle.depth; break;
+    case RampDirection.EAST: t = (x - (obstacle.x - halfW)) / obstacle.width; break;
+    case RampDirection.WEST: t = (obstacle.x + halfW - x) / obstacle.width; break;
+    default: return obstacle.height;
+  }
+
+  return obstacle.height * Math.max(0, Math.min(1, t));
+}
+
+const CELL_SIZE = 4; // About the size of an obstacle
+
+// Nearest obstacle a ray hits
+export interface BoxHit {
+  distance: number;
+  normal: Vec3;
+  obstacle: Obstacle;
+}
+
+// Slab test scratch: the ray's parameter interval inside every slab so far, and the axis it entered through
+let tEnter = 0;
+let tExit = 0;
+let entryAxis = -1; // 0 = x, 1 = y, 2 = z, 3 = ramp slope, -1 = started inside
+const slopeNormal: Vec3 = { x: 0, y: 0, z: 0 };
+
+// Narrow the interval to where the ray is between min and max on one axis
+function clipSlab(start: number, delta: number, min: number, max: number, axis: number): boolean {
+  if (Math.abs(delta) < 1e-9) {
+    // Parallel to this slab - inside it or never
+    return start >= min && start <= max;
+  }
+
+  let t1 = (min - start) / delta;
+  let t2 = (max - start) / delta;
+  if (t1 > t2) {
+    const t = t1;
+    t1 = t2;
+    t2 = t;
+  }
+
+  if (t1 > tEnter) {
+    tEnter = t1;
+    entryAxis = axis;
+  }
+  if (t2 < tExit) tExit = t2;
+  return tEnter <= tExit;
+}
+
+// Narrow the interval to where the ray is under a ramp's slope (the plane normal . p <= offset)
+function clipSlope(origin: Vec3, direction: Vec3, obs: Obstacle): boolean {
+  const halfW = obs.width / 2;
+  const halfD = obs.depth / 2;
+  let nx = 0;
+  let nz = 0;
+  let offset = 0;
+
+  switch (obs.ramp) {
+    case RampDirection.NORTH: nz = -obs.height / obs.depth; offset = nz * (obs.z - halfD); break;
+    case RampDirection.SOUTH: nz = obs.height / obs.depth; offset = nz * (obs.z + halfD); break;
+    case RampDirection.EAST: nx = -obs.height / obs.width; offset = nx * (obs.x - halfW); break;
+    case RampDirection.WEST: nx = obs.height / obs.width; offset = nx * (obs.x + halfW); break;
+    default: return true;
+  }
+
+  const along = nx * direction.x + direction.y + nz * direction.z;
+  const room = offset - (nx * origin.x + origin.y + nz * origin.z);
+  if (Math.abs(along) < 1e-9) {
+    // Parallel to the slope - under it or never
+    return room >= 0;
+  }
+
+  const t = room / along;
+  if (along < 0) {
+    // Coming down through the slope
+    if (t > tEnter) {
+      tEnter = t;
+      entryAxis = 3;
+      const length = Math.sqrt(nx * nx + 1 + nz * nz);
+      slopeNormal.x = nx / length;
+      slopeNormal.y = 1 / length;
+      slopeNormal.z = nz / length;
+    }
+  } else if (t < tExit) {
+    tExit = t;
+  }
+  return tEnter <= tExit;
+}
+
+// Face the last intersectBox hit came through (straight back at the ray when it started inside)
+function getEntryNormal(direction: Vec3): Vec3 {
+  switch (entryAxis) {
+    case 0: return { x: -Math.sign(direction.x), y: 0, z: 0 };
+    case 1: return { x: 0, y: -Math.sign(direction.y), z: 0 };
+    case 2: return { x: 0, y: 0, z: -Math.sign(direction.z) };
+    case 3: return { x: slopeNormal.x, y: slopeNormal.y, z: slopeNormal.z };
+    default: return { x: -direction.x, y: -direction.y, z: -direction.z };
+  }
+}
+
+// Exact ray vs box or ramp (slab method) - distance along the ray, or -1 on a miss within maxDistance
+function intersectBox(origin: Vec3, direction: Vec3, maxDistance: number, obs: Obstacle): number {
+  const halfW = obs.width / 2;
+  const halfD = obs.depth / 2;
+
+  tEnter = -Infinity;
+  tExit = Infinity;
+  entryAxis = -1;
+  if (!clipSlab(origin.x, direction.x, obs.x - halfW, obs.x + halfW, 0) ||
+      !clipSlab(origin.y, direction.y, 0, obs.height, 1) ||
+      !clipSlab(origin.z, direction.z, obs.z - halfD, obs.z + halfD, 2) ||
+      !clipSlope(origin, direction, obs)) {
+    return -1;
+  }
+
+  if (tExit < 0 || tEnter > maxDistance) return -1;
+
+  if (tEnter < 0) {
+    entryAxis = -1;
+    return 0;
+  }
+  return tEnter;
+}
+
+export class ObstacleGrid {
+  readonly obstacles: Obstacle[];
+
+  // Grid covers every obstacle's footprint
+  private minX: number = 0;
+  private minZ: number = 0;
+  private cols: number = 0;
+  private rows: number = 0;
+  private cells: number[][] = []; // Obstacle indices
+
+  // Boxes spanning several cells are only tested once per query
+  private visited: Uint32Array;
+  private queryId: number = 0;
+  private candidates: Obstacle[] = [];
+
+  constructor(obstacles: Obstacle[]) {
+    this.obstacles = obstacles;
+    this.visited = new Uint32Array(obstacles.length);
+    if (obstacles.length === 0) return;
+
+    let maxX = -Infinity;
+    let maxZ = -Infinity;
+    this.minX = Infinity;
+    this.minZ = Infinity;
+    for (const obs of obstacles) {
+      this.minX = Math.min(this.minX, obs.x - obs.width / 2);
+      this.minZ = Math.min(this.minZ, obs.z - obs.depth / 2);
+      maxX = Math.max(maxX, obs.x + obs.width / 2);
+      maxZ = Math.max(maxZ, obs.z + obs.depth / 2);
+    }
+
+    this.cols = Math.max(1, Math.ceil((maxX - this.minX) / CELL_SIZE));
+    this.rows = Math.max(1, Math.ceil((maxZ - this.minZ) / CELL_SIZE));
+    for (let i = 0; i < this.cols * this.rows; i++) {
+      this.cells.push([]);
+    }
+
+    obstacles.forEach((obs, index) => {
+      const x0 = this.cellX(obs.x - obs.width / 2);
+      const x1 = this.cellX(obs.x + obs.width / 2);
+      const z0 = this.cellZ(obs.z - obs.depth / 2);
+      const z1 = this.cellZ(obs.z + obs.depth / 2);
+      for (let cz = z0; cz <= z1; cz++) {
+        for (let cx = x0; cx <= x1; cx++) {
+          this.cells[cz * this.cols + cx].push(index);
+        }
+      }
+    });
+  }
+
+  get count(): number {
+    return this.obstacles.length;
+  }
+
+  // Boxes whose cells overlap an XZ rectangle (may include some that don't touch it)
+  // The array is reused by the next query
+  queryBox(minX: number, minZ: number, maxX: number, maxZ: number): Obstacle[] {
+    const candidates = this.candidates;
+    candidates.length = 0;
+    if (this.cells.length === 0) return candidates;
+
+    const id = ++this.queryId;
+    const x0 = this.cellX(minX);
+    const x1 = this.cellX(maxX);
+    const z0 = this.cellZ(minZ);
+    const z1 = this.cellZ(maxZ);
+
+    for (let cz = z0; cz <= z1; cz++) {
+      for (let cx = x0; cx <= x1; cx++) {
+        for (const index of this.cells[cz * this.cols + cx]) {
+          if (this.visited[index] !== id) {
+            this.visited[index] = id;
+            candidates.push(this.obstacles[index]);
+          }
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  // Nearest box along a ray (direction must be unit length), walking the cells it crosses in order
+  intersectRay(origin: Vec3, direction: Vec3, maxDistance: number): BoxHit | null {
+    if (this.cells.length === 0) return null;
+
+    // Clip the ray to the grid's footprint
+    const maxX = this.minX + this.cols * CELL_SIZE;
+    const maxZ = this.minZ + this.rows * CELL_SIZE;
+    tEnter = 0;
+    tExit = maxDistance;
+    if (!clipSlab(origin.x, direction.x, this.minX, maxX, 0) || !clipSlab(origin.z, direction.z, this.minZ, maxZ, 2)) {
+      return null;
+    }
+    const tStart = tEnter;
+    const tEnd = tExit;
+
+    // Grid traversal (Amanatides & Woo)
+    let cx = this.cellX(origin.x + direction.x * tStart);
+    let cz = this.cellZ(origin.z + direction.z * tStart);
+    const stepX = direction.x > 0 ? 1 : -1;
+    const stepZ = direction.z > 0 ? 1 : -1;
+    const tDeltaX = Math.abs(direction.x) < 1e-9 ? Infinity : CELL_SIZE / Math.abs(direction.x);
+    const tDeltaZ = Math.abs(direction.z) < 1e-9 ? Infinity : CELL_SIZE / Math.abs(direction.z);
+    let tMaxX = tDeltaX === Infinity ? Infinity :
+      ((this.minX + (cx + (stepX > 0 ? 1 : 0)) * CELL_SIZE) - origin.x) / direction.x;
+    let tMaxZ = tDeltaZ === Infinity ? Infinity :
+      ((this.minZ + (cz + (stepZ > 0 ? 1 : 0)) * CELL_SIZE) - origin.z) / direction.z;
+
+    const id = ++this.queryId;
+    let best: Obstacle | null = null;
+    let bestDistance = maxDistance;
+    let bestNormal: Vec3 | null = null;
+
+    for (;;) {
+      for (const index of this.cells[cz * this.cols + cx]) {
+        if (this.visited[index] === id) continue;
+        this.visited[index] = id;
+
+        const obs = this.obstacles[index];
+        const t = intersectBox(origin, direction, bestDistance, obs);
+        if (t >= 0 && (best === null || t < bestDistance)) {
+          best = obs;
+          bestDistance = t;
+          bestNormal = getEntryNormal(direction);
+        }
+      }
+
+      // Nothing in a later cell can be closer than a hit inside this one
+      const cellExit = Math.min(tMaxX, tMaxZ);
+      if ((best && bestDistance <= cellExit) || cellExit >= tEnd) break;
+
+      if (tMaxX < tMaxZ) {
+        cx += stepX;
+        tMaxX += tDeltaX;
+      } else {
+        cz += stepZ;
+        tMaxZ += tDeltaZ;
+      }
+      if (cx < 0 || cx >= this.cols || cz < 0 || cz >= this.rows) break;
+    }
+
+    if (!best || !bestNormal) return null;
+    return { distance: bestDistance, normal: bestNormal, obstacle: best };
+  }
+
+  private cellX(x: number): number {
+    return Math.max(0, Math.min(this.cols - 1, Math.floor((x - this.minX) / CELL_SIZE)));
+  }
+
+  private cellZ(z: number): number {
+    return Math.max(0, Math.min(this.rows - 1, Math.floor((z - this.minZ) / CELL_SIZE)));
+  }
+}
@@ -0,0 +1,848 @@
+// ============================================
+// BINARY PROTOCOL - ENCODERS & DECODERS (ZERO-GC OPTIMIZED)
+// ============================================
+// Used by both the server and the browser client, so no Node APIs here
+
+import {
+  type PlayerState,
+  type HitEvent,
+  type WorldEntity,
+  type GameOverMessage,
+  type DeathMessage,
+  type InputData,
+  type PlayerJoinedMessage,
+  type PlayerStats,
+  type RespawnMessage,
+  type JoinRequest,
+  type PongMessage,
+  type RejectMessage,
+  type RoomInfo,
+  type RoomSettings,
+  type WelcomeMessage,
+  type WorldSnapshot,
+  ServerMessageType,
+  ClientMessageType,
+  INPUT_REDUNDANCY
+} from './types.js';
+import {
+  quantizePosition,
+  quantizeVelocity,
+  quantizeYaw,
+  quantizePitch,
+  dequantizePosition,
+  dequantizeVelocity,
+  dequantizeYaw,
+  dequantizePitch
+} from './quantize.js';
+
+// Pre-allocated buffers for zero-GC encoding
+const MAX_PLAYERS = 32;
+export const MAX_HITS = 16; // Hit events per snapshot (extra hits still do damage, just without a marker)
+const MAX_ENTITIES = 16;
+const MAX_TEAMS = 4;
+const PLAYER_STATE_SIZE = 42; // Full state (id + field mask + every field), 26 when compact
+const ENTITY_SIZE = 27;
+const HIT_EVENT_SIZE = 6;
+const TEAM_SCORE_SIZE = 2;
+const SNAPSHOT_HEADER_SIZE = 30; // 1 + 4 + 4 + 8 + 1 + 1 + 1 + 4 + 1 + 1 + 4
+export const INPUT_SIZE = 22;    // 4 + 1 + 1 + 4 + 4 + 8 (per input, after the packet header)
+export const SESSION_TOKEN_SIZE = 16;
+
+// Player fields in a snapshot, one mask bit each - only changed fields are sent
+// With COMPACT_ENCODING positions, velocities and angles are quantized (see quantize.ts), otherwise f32
+export const PlayerField = {
+  X: 1 << 0,        // u16 / f32
+  Y: 1 << 1,        // u16 / f32
+  Z: 1 << 2,        // u16 / f32
+  VX: 1 << 3,       // i16 / f32
+  VY: 1 << 4,       // i16 / f32
+  VZ: 1 << 5,       // i16 / f32
+  YAW: 1 << 6,      // u16 / f32
+  PITCH: 1 << 7,    // u16 / f32
+  HEALTH: 1 << 8,   // u8
+  STATUS: 1 << 9,   // u8: weapon (3 bits) | isShooting << 3 | isDead << 4 | weaponLocked << 5 | hidden << 6 | grounded << 7
+  SCORE: 1 << 10,   // u16
+  TEAM: 1 << 11,    // u8
+  STANCE: 1 << 12,  // u8
+  ALL: (1 << 13) - 1,
+  SKIPPED: 1 << 15  // Not a field: entry repeats an older state (low relevance), clients shouldn't sample it
+} as const;
+
+// Input flag bits
+const InputFlag = {
+  FORWARD: 1 << 0,
+  BACKWARD: 1 << 1,
+  LEFT: 1 << 2,
+  RIGHT: 1 << 3,
+  JUMP: 1 << 4,
+  SPRINT: 1 << 5,
+  SNEAK: 1 << 6,
+  SHOOT: 1 << 7
+} as const;
+
+const SNAPSHOT_BUFFER = new ArrayBuffer(
+  SNAPSHOT_HEADER_SIZE +
+  MAX_PLAYERS * PLAYER_STATE_SIZE +
+  MAX_ENTITIES * ENTITY_SIZE +
+  MAX_HITS * HIT_EVENT_SIZE +
+  MAX_TEAMS * TEAM_SCORE_SIZE
+);
+const SNAPSHOT_VIEW = new DataView(SNAPSHOT_BUFFER);
+const INPUT_BUFFER = new ArrayBuffer(2 + INPUT_REDUNDANCY * INPUT_SIZE);
+const INPUT_VIEW = new DataView(INPUT_BUFFER);
+const ACK_BUFFER = new ArrayBuffer(5);
+const ACK_VIEW = new DataView(ACK_BUFFER);
+
+// Encoding of one continuous player field
+// value() is what actually goes over the wire, so fields that encode the same aren't resent
+interface FieldCodec {
+  size: number;
+  value(v: number): number;
+  write(view: DataView, offset: number, v: number): void;
+  read(view: DataView, offset: number): number;
+}
+
+interface PlayerFieldCodecs {
+  position: FieldCodec;
+  velocity: FieldCodec;
+  yaw: FieldCodec;
+  pitch: FieldCodec;
+}
+
+const FLOAT_CODEC: FieldCodec = {
+  size: 4,
+  value: Math.fround,
+  write: (view, offset, v) => view.setFloat32(offset, v, true),
+  read: (view, offset) => view.getFloat32(offset, true)
+};
+
+const FLOAT_CODECS: PlayerFieldCodecs = {
+  position: FLOAT_CODEC,
+  velocity: FLOAT_CODEC,
+  yaw: FLOAT_CODEC,
+  pitch: FLOAT_CODEC
+};
+
+const COMPACT_CODECS: PlayerFieldCodecs = {
+  position: {
+    size: 2,
+    value: quantizePosition,
+    write: (view, offset, v) => view.setUint16(offset, quantizePosition(v), true),
+    read: (view, offset) => dequantizePosition(view.getUint16(offset, true))
+  },
+  velocity: {
+    size: 2,
+    value: quantizeVelocity,
+    write: (view, offset, v) => view.setInt16(offset, quantizeVelocity(v), true),
+    read: (view, offset) => dequantizeVelocity(view.getInt16(offset, true))
+  },
+  yaw: {
+    size: 2,
+    value: quantizeYaw,
+    write: (view, offset, v) => view.setUint16(offset, quantizeYaw(v), true),
+    read: (view, offset) => dequantizeYaw(view.getUint16(offset, true))
+  },
+  pitch: {
+    size: 2,
+    value: quantizePitch,
+    write: (view, offset, v) => view.setUint16(offset, quantizePitch(v), true),
+    read: (view, offset) => dequantizePitch(view.getUint16(offset, true))
+  }
+};
+
+// Baseline for players the decoder has never seen
+const EMPTY_PLAYER: PlayerState = {
+  id: 0, x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0, yaw: 0, pitch: 0,
+  health: 0, weapon: 0, weaponLocked: false, isShooting: false, isDead: false, grounded: false, hidden: false, score: 0, team: 0, stance: 0
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// str8 = [length:u8][utf8 bytes], cut to 255 bytes (at a character boundary)
+function encodeString(text: string): Uint8Array {
+  const bytes = textEncoder.encode(text);
+  if (bytes.length <= 255) return bytes;
+
+  // Don't split a multi-byte character: back up while the first dropped byte continues one (10xxxxxx)
+  let end = 255;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+  return bytes.slice(0, end);
+}
+
+function decodeString(view: DataView, offset: number): string {
+  const length = view.getUint8(offset);
+  return textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 1, length));
+}
+
+// Session tokens are hex strings, sent as SESSION_TOKEN_SIZE raw bytes (all zero = no token)
+function writeSessionToken(bytes: Uint8Array, offset: number, token: string): void {
+  for (let i = 0; i < SESSION_TOKEN_SIZE; i++) {
+    bytes[offset + i] = parseInt(token.substring(i * 2, i * 2 + 2), 16) || 0;
+  }
+}
+
+function readSessionToken(bytes: Uint8Array, offset: number): string {
+  let token = '';
+  let empty = true;
+  for (let i = 0; i < SESSION_TOKEN_SIZE; i++) {
+    const byte = bytes[offset + i];
+    if (byte !== 0) empty = false;
+    token += byte.toString(16).padStart(2, '0');
+  }
+  return empty ? '' : token;
+}
+
+// Get message type
+export function getMessageType(buffer: ArrayBuffer): number {
+  return new Uint8Array(buffer)[0];
+}
+
+// ============================================
+// CLIENT -> SERVER
+// ============================================
+
+// Join request
+// Format: [type:u8][name:str8][roomId:str8][protocolVersion:u16][features:u32][sessionToken:16]
+// Older clients stop after the name or the room id - they decode as version 0
+export function encodeJoinRequest(request: JoinRequest): ArrayBuffer {
+  const name = encodeString(request.name);
+  const roomId = encodeString(request.roomId);
+  const buffer = new ArrayBuffer(9 + name.length + roomId.length + SESSION_TOKEN_SIZE);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let offset = 0;
+
+  view.setUint8(offset++, ClientMessageType.JOIN);
+  view.setUint8(offset++, name.length);
+  bytes.set(name, offset); offset += name.length;
+  view.setUint8(offset++, roomId.length);
+  bytes.set(roomId, offset); offset += roomId.length;
+  view.setUint16(offset, request.protocolVersion, true); offset += 2;
+  view.setUint32(offset, request.features, true); offset += 4;
+  writeSessionToken(bytes, offset, request.sessionToken);
+
+  return buffer;
+}
+
+export function decodeJoinRequest(buffer: ArrayBuffer): JoinRequest {
+  const view = new DataView(buffer);
+  const name = decodeString(view, 1);
+
+  let roomId = '';
+  let offset = 2 + view.getUint8(1);
+  if (buffer.byteLength > offset) {
+    roomId = decodeString(view, offset);
+    offset += 1 + view.getUint8(offset);
+  }
+
+  let protocolVersion = 0;
+  let features = 0;
+  if (buffer.byteLength >= offset + 6) {
+    protocolVersion = view.getUint16(offset, true);
+    features = view.getUint32(offset + 2, true);
+    offset += 6;
+  }
+
+  let sessionToken = '';
+  if (buffer.byteLength >= offset + SESSION_TOKEN_SIZE) {
+    sessionToken = readSessionToken(new Uint8Array(buffer), offset);
+  }
+
+  return { name, roomId, protocolVersion, features, sessionToken };
+}
+
+// Player inputs - the newest one plus the unacknowledged ones before it, oldest first
+// Format: [type:u8][count:u8][inputs...]
+// Input: [seq:u32][flags:u8][weapon:u8][yaw:f32][pitch:f32][timestamp:f64]
+// Only the last INPUT_REDUNDANCY inputs are sent
+export function encodeInputs(inputs: InputData[]): ArrayBuffer {
+  const first = Math.max(0, inputs.length - INPUT_REDUNDANCY);
+  let offset = 0;
+
+  INPUT_VIEW.setUint8(offset++, ClientMessageType.INPUT);
+  INPUT_VIEW.setUint8(offset++, inputs.length - first);
+
+  for (let i = first; i < inputs.length; i++) {
+    const input = inputs[i];
+    let flags = 0;
+    if (input.forward) flags |= InputFlag.FORWARD;
+    if (input.backward) flags |= InputFlag.BACKWARD;
+    if (input.left) flags |= InputFlag.LEFT;
+    if (input.right) flags |= InputFlag.RIGHT;
+    if (input.jump) flags |= InputFlag.JUMP;
+    if (input.sprint) flags |= InputFlag.SPRINT;
+    if (input.sneak) flags |= InputFlag.SNEAK;
+    if (input.shoot) flags |= InputFlag.SHOOT;
+
+    INPUT_VIEW.setUint32(offset, input.seq, true); offset += 4;
+    INPUT_VIEW.setUint8(offset++, flags);
+    INPUT_VIEW.setUint8(offset++, input.weapon);
+    INPUT_VIEW.setFloat32(offset, input.yaw, true); offset += 4;
+    INPUT_VIEW.setFloat32(offset, input.pitch, true); offset += 4;
+    INPUT_VIEW.setFloat64(offset, input.timestamp, true); offset += 8;
+  }
+
+  return INPUT_BUFFER.slice(0, offset);
+}
+
+export function decodeInputs(buffer: ArrayBuffer): InputData[] {
+  const view = new DataView(buffer);
+  const count = view.getUint8(1);
+  const inputs: InputData[] = [];
+  let offset = 2;
+
+  for (let i = 0; i < count; i++) {
+    const seq = view.getUint32(offset, true); offset += 4;
+    const flags = view.getUint8(offset++);
+    const weapon = view.getUint8(offset++);
+    const yaw = view.getFloat32(offset, true); offset += 4;
+    const pitch = view.getFloat32(offset, true); offset += 4;
+    const timestamp = view.getFloat64(offset, true); offset += 8;
+
+    inputs.push({
+      seq,
+      forward: (flags & InputFlag.FORWARD) !== 0,
+      backward: (flags & InputFlag.BACKWARD) !== 0,
+      left: (flags & InputFlag.LEFT) !== 0,
+      right: (flags & InputFlag.RIGHT) !== 0,
+      jump: (flags & InputFlag.JUMP) !== 0,
+      sprint: (flags & InputFlag.SPRINT) !== 0,
+      sneak: (flags & InputFlag.SNEAK) !== 0,
+      shoot: (flags & InputFlag.SHOOT) !== 0,
+      weapon,
+      yaw,
+      pitch,
+      timestamp
+    });
+  }
+
+  return inputs;
+}
+
+// Ping (the server answers with a PONG)
+// Format: [type:u8][clientTime:f64]
+export function encodePing(clientTime: number): ArrayBuffer {
+  const buffer = new ArrayBuffer(9);
+  const view = new DataView(buffer);
+  view.setUint8(0, ClientMessageType.PING);
+  view.setFloat64(1, clientTime, true);
+  return buffer;
+}
+
+export function decodePing(buffer: ArrayBuffer): number {
+  return new DataView(buffer).getFloat64(1, true);
+}
+
+// Ping reply - the client's time goes back untouched, with the server's receive and send times
+// Format: [type:u8][clientTime:f64][serverReceiveTime:f64][serverSendTime:f64]
+export function encodePong(message: PongMessage): ArrayBuffer {
+  const buffer = new ArrayBuffer(25);
+  const view = new DataView(buffer);
+  view.setUint8(0, ServerMessageType.PONG);
+  view.setFloat64(1, message.clientTime, true);
+  view.setFloat64(9, message.serverReceiveTime, true);
+  view.setFloat64(17, message.serverSendTime, true);
+  return buffer;
+}
+
+export function decodePong(buffer: ArrayBuffer): PongMessage {
+  const view = new DataView(buffer);
+  return {
+    clientTime: view.getFloat64(1, true),
+    serverReceiveTime: view.getFloat64(9, true),
+    serverSendTime: view.getFloat64(17, true)
+  };
+}
+
+// Snapshot ack (tick 0 asks for a full snapshot)
+// Format: [type:u8][tick:u32]
+// The returned buffer is reused by the next call
+export function encodeSnapshotAck(tick: number): ArrayBuffer {
+  ACK_VIEW.setUint8(0, ClientMessageType.SNAPSHOT_ACK);
+  ACK_VIEW.setUint32(1, tick, true);
+  return ACK_BUFFER;
+}
+
+export function decodeSnapshotAck(buffer: ArrayBuffer): number {
+  return new DataView(buffer).getUint32(1, true);
+}
+
+// ============================================
+// SERVER -> CLIENT
+// ============================================
+
+// Room info block shared by WELCOME and MAP_CHANGE (allocates - sent rarely)
+// Format: [mapSeed:u32][maxPlayers:u8][scoreLimit:u16][timeLimit:u32][friendlyFire:u8 (percent)][respawnDelay:u16]
+//         [roomId:str8][mode:str8][modeName:str8]
+function encodeRoomInfo(info: RoomInfo, headerSize: number): DataView {
+  const settings = info.settings;
+  const strings = [info.roomId, settings.mode, info.modeName].map(encodeString);
+
+  const size = headerSize + 14 + strings.reduce((sum, s) => sum + 1 + s.length, 0);
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let offset = headerSize;
+
+  view.setUint32(offset, settings.mapSeed, true); offset += 4;
+  view.setUint8(offset++, settings.maxPlayers);
+  view.setUint16(offset, settings.scoreLimit, true); offset += 2;
+  view.setUint32(offset, settings.timeLimit, true); offset += 4;
+  view.setUint8(offset++, Math.round(settings.friendlyFire * 100));
+  view.setUint16(offset, settings.respawnDelay, true); offset += 2;
+
+  for (const s of strings) {
+    view.setUint8(offset++, s.length);
+    bytes.set(s, offset); offset += s.length;
+  }
+
+  return view;
+}
+
+function decodeRoomInfo(view: DataView, offset: number): RoomInfo {
+  const mapSeed = view.getUint32(offset, true); offset += 4;
+  const maxPlayers = view.getUint8(offset++);
+  const scoreLimit = view.getUint16(offset, true); offset += 2;
+  const timeLimit = view.getUint32(offset, true); offset += 4;
+  const friendlyFire = view.getUint8(offset++) / 100;
+  const respawnDelay = view.getUint16(offset, true); offset += 2;
+
+  const roomId = decodeString(view, offset); offset += 1 + view.getUint8(offset);
+  const mode = decodeString(view, offset); offset += 1 + view.getUint8(offset);
+  const modeName = decodeString(view, offset);
+
+  const settings: RoomSettings = { mode, mapSeed, scoreLimit, timeLimit, maxPlayers, friendlyFire, respawnDelay };
+  return { roomId, modeName, settings };
+}
+
+// Welcome message
+// Format: [type:u8][playerId:u16][tickRate:u8][protocolVersion:u16][features:u32][sessionToken:16][spreadSeed:u32][room info...]
+export function encodeWelcome(message: WelcomeMessage): ArrayBuffer {
+  const view = encodeRoomInfo(message, 14 + SESSION_TOKEN_SIZE);
+  view.setUint8(0, ServerMessageType.WELCOME);
+  view.setUint16(1, message.playerId, true);
+  view.setUint8(3, message.tickRate);
+  view.setUint16(4, message.protocolVersion, true);
+  view.setUint32(6, message.features, true);
+  writeSessionToken(new Uint8Array(view.buffer), 10, message.sessionToken);
+  view.setUint32(10 + SESSION_TOKEN_SIZE, message.spreadSeed, true);
+  return view.buffer as ArrayBuffer;
+}
+
+export function decodeWelcome(buffer: ArrayBuffer): WelcomeMessage {
+  const view = new DataView(buffer);
+  return {
+    playerId: view.getUint16(1, true),
+    tickRate: view.getUint8(3),
+    protocolVersion: view.getUint16(4, true),
+    features: view.getUint32(6, true),
+    sessionToken: readSessionToken(new Uint8Array(buffer), 10),
+    spreadSeed: view.getUint32(10 + SESSION_TOKEN_SIZE, true),
+    ...decodeRoomInfo(view, 14 + SESSION_TOKEN_SIZE)
+  };
+}
+
+// Reject (the server closes the socket right after)
+// Format: [type:u8][reason:u8][message:str8]
+export function encodeReject(message: RejectMessage): ArrayBuffer {
+  const text = encodeString(message.message);
+  const buffer = new ArrayBuffer(3 + text.length);
+  const view = new DataView(buffer);
+  view.setUint8(0, ServerMessageType.REJECT);
+  view.setUint8(1, message.reason);
+  view.setUint8(2, text.length);
+  new Uint8Array(buffer).set(text, 3);
+  return buffer;
+}
+
+export function decodeReject(buffer: ArrayBuffer): RejectMessage {
+  const view = new DataView(buffer);
+  return {
+    reason: view.getUint8(1),
+    message: decodeString(view, 2)
+  };
+}
+
+// Map change (room moved to the next playlist entry)
+// Format: [type:u8][room info...]
+export function encodeMapChange(info: RoomInfo): ArrayBuffer {
+  const view = encodeRoomInfo(info, 1);
+  view.setUint8(0, ServerMessageType.MAP_CHANGE);
+  return view.buffer as ArrayBuffer;
+}
+
+export function decodeMapChange(buffer: ArrayBuffer): RoomInfo {
+  return decodeRoomInfo(new DataView(buffer), 1);
+}
+
+// Pack weapon and the boolean player fields into one byte
+function packPlayerStatus(p: PlayerState): number {
+  return (p.weapon & 7) | (p.isShooting ? 8 : 0) | (p.isDead ? 16 : 0) | (p.weaponLocked ? 32 : 0) |
+    (p.hidden ? 64 : 0) | (p.grounded ? 128 : 0);
+}
+
+// Mask of fields whose encoded value differs from the baseline (everything when there is none)
+function getChangedFields(p: PlayerState, base: PlayerState | undefined, codecs: PlayerFieldCodecs): number {
+  if (!base) return PlayerField.ALL;
+
+  const { position, velocity, yaw, pitch } = codecs;
+  let mask = 0;
+  if (position.value(p.x) !== position.value(base.x)) mask |= PlayerField.X;
+  if (position.value(p.y) !== position.value(base.y)) mask |= PlayerField.Y;
+  if (position.value(p.z) !== position.value(base.z)) mask |= PlayerField.Z;
+  if (velocity.value(p.vx) !== velocity.value(base.vx)) mask |= PlayerField.VX;
+  if (velocity.value(p.vy) !== velocity.value(base.vy)) mask |= PlayerField.VY;
+  if (velocity.value(p.vz) !== velocity.value(base.vz)) mask |= PlayerField.VZ;
+  if (yaw.value(p.yaw) !== yaw.value(base.yaw)) mask |= PlayerField.YAW;
+  if (pitch.value(p.pitch) !== pitch.value(base.pitch)) mask |= PlayerField.PITCH;
+  if (Math.ceil(p.health) !== Math.ceil(base.health)) mask |= PlayerField.HEALTH;
+  if (packPlayerStatus(p) !== packPlayerStatus(base)) mask |= PlayerField.STATUS;
+  if (p.score !== base.score) mask |= PlayerField.SCORE;
+  if (p.team !== base.team) mask |= PlayerField.TEAM;
+  if (p.stance !== base.stance) mask |= PlayerField.STANCE;
+  return mask;
+}
+
+// World snapshot, delta-compressed against a baseline the client has acked
+// Format: [type:u8][tick:u32][baselineTick:u32][timestamp:f64][playerCount:u8][entityCount:u8][hitCount:u8][lastInput:u32][teamCount:u8][phase:u8][phaseTimeLeft:u32][players...][entities...][hits...][teamScores...]
+// Player: [id:u16][fieldMask:u16][changed fields in PlayerField order...]
+// baselineTick 0 = full snapshot. Players missing from the snapshot have left.
+// skipped = ids whose entry only repeats what the client already had (low relevance)
+// compact = the client negotiated COMPACT_ENCODING
+export function encodeSnapshot(
+  tick: number,
+  timestamp: number,
+  players: PlayerState[],
+  entities: WorldEntity[],
+  hits: HitEvent[],
+  lastProcessedInput: number,
+  teamScores: number[],
+  phase: number,
+  phaseTimeLeft: number,
+  baselineTick: number = 0,
+  baseline: Map<number, PlayerState> | null = null,
+  skipped: Set<number> | null = null,
+  compact: boolean = true
+): ArrayBuffer {
+  const codecs = compact ? COMPACT_CODECS : FLOAT_CODECS;
+  const { position, velocity, yaw, pitch } = codecs;
+  let offset = 0;
+
+  // Header
+  SNAPSHOT_VIEW.setUint8(offset++, ServerMessageType.SNAPSHOT);
+  SNAPSHOT_VIEW.setUint32(offset, tick, true); offset += 4;
+  SNAPSHOT_VIEW.setUint32(offset, baseline ? baselineTick : 0, true); offset += 4;
+  SNAPSHOT_VIEW.setFloat64(offset, timestamp, true); offset += 8;
+  SNAPSHOT_VIEW.setUint8(offset++, players.length);
+  SNAPSHOT_VIEW.setUint8(offset++, entities.length);
+  SNAPSHOT_VIEW.setUint8(offset++, hits.length);
+  SNAPSHOT_VIEW.setUint32(offset, lastProcessedInput, true); offset += 4;
+  SNAPSHOT_VIEW.setUint8(offset++, teamScores.length);
+  SNAPSHOT_VIEW.setUint8(offset++, phase);
+  SNAPSHOT_VIEW.setUint32(offset, phaseTimeLeft, true); offset += 4;
+
+  // Players (4 bytes unchanged, up to 26 bytes full when compact)
+  for (const p of players) {
+    const mask = getChangedFields(p, baseline?.get(p.id), codecs);
+    SNAPSHOT_VIEW.setUint16(offset, p.id, true); offset += 2;
+    SNAPSHOT_VIEW.setUint16(offset, skipped?.has(p.id) ? mask | PlayerField.SKIPPED : mask, true); offset += 2;
+    if (mask & PlayerField.X) { position.write(SNAPSHOT_VIEW, offset, p.x); offset += position.size; }
+    if (mask & PlayerField.Y) { position.write(SNAPSHOT_VIEW, offset, p.y); offset += position.size; }
+    if (mask & PlayerField.Z) { position.write(SNAPSHOT_VIEW, offset, p.z); offset += position.size; }
+    if (mask & PlayerField.VX) { velocity.write(SNAPSHOT_VIEW, offset, p.vx); offset += velocity.size; }
+    if (mask & PlayerField.VY) { velocity.write(SNAPSHOT_VIEW, offset, p.vy); offset += velocity.size; }
+    if (mask & PlayerField.VZ) { velocity.write(SNAPSHOT_VIEW, offset, p.vz); offset += velocity.size; }
+    if (mask & PlayerField.YAW) { yaw.write(SNAPSHOT_VIEW, offset, p.yaw); offset += yaw.size; }
+    if (mask & PlayerField.PITCH) { pitch.write(SNAPSHOT_VIEW, offset, p.pitch); offset += pitch.size; }
+    if (mask & PlayerField.HEALTH) SNAPSHOT_VIEW.setUint8(offset++, Math.ceil(p.health)); // Zone damage is fractional
+    if (mask & PlayerField.STATUS) SNAPSHOT_VIEW.setUint8(offset++, packPlayerStatus(p));
+    if (mask & PlayerField.SCORE) { SNAPSHOT_VIEW.setUint16(offset, p.score, true); offset += 2; }
+    if (mask & PlayerField.TEAM) SNAPSHOT_VIEW.setUint8(offset++, p.team);
+    if (mask & PlayerField.STANCE) SNAPSHOT_VIEW.setUint8(offset++, p.stance);
+  }
+
+  // World entities (27 bytes each)
+  for (const e of entities) {
+    SNAPSHOT_VIEW.setUint16(offset, e.id, true); offset += 2;
+    SNAPSHOT_VIEW.setUint8(offset++, e.type);
+    SNAPSHOT_VIEW.setUint8(offset++, e.state);
+    SNAPSHOT_VIEW.setUint8(offset++, e.team);
+    SNAPSHOT_VIEW.setUint16(offset, e.carrierId, true); offset += 2;
+    SNAPSHOT_VIEW.setFloat32(offset, e.x, true); offset += 4;
+    SNAPSHOT_VIEW.setFloat32(offset, e.y, true); offset += 4;
+    SNAPSHOT_VIEW.setFloat32(offset, e.z, true); offset += 4;
+    SNAPSHOT_VIEW.setFloat32(offset, e.radius, true); offset += 4;
+    SNAPSHOT_VIEW.setFloat32(offset, e.progress, true); offset += 4;
+  }
+
+  // Hits (6 bytes each)
+  for (const h of hits) {
+    SNAPSHOT_VIEW.setUint16(offset, h.shooterId, true); offset += 2;
+    SNAPSHOT_VIEW.setUint16(offset, h.targetId, true); offset += 2;
+    SNAPSHOT_VIEW.setUint8(offset++, h.damage);
+    SNAPSHOT_VIEW.setUint8(offset++, h.headshot ? 1 : 0);
+  }
+
+  // Team scores (2 bytes each)
+  for (const score of teamScores) {
+    SNAPSHOT_VIEW.setUint16(offset, score, true); offset += 2;
+  }
+
+  return SNAPSHOT_BUFFER.slice(0, offset);
+}
+
+// Tick a snapshot was delta-compressed against (0 = full snapshot)
+export function getSnapshotBaselineTick(buffer: ArrayBuffer): number {
+  return new DataView(buffer).getUint32(5, true);
+}
+
+// Rebuilds full player states from the baseline plus the changed fields
+// baseline must be the states decoded for getSnapshotBaselineTick() (null for a full snapshot)
+export function decodeSnapshot(
+  buffer: ArrayBuffer,
+  baseline: Map<number, PlayerState> | null,
+  compact: boolean = true
+): WorldSnapshot {
+  const { position, velocity, yaw, pitch } = compact ? COMPACT_CODECS : FLOAT_CODECS;
+  const view = new DataView(buffer);
+  let offset = 1;
+
+  const tick = view.getUint32(offset, true); offset += 8; // Skip baselineTick
+  const timestamp = view.getFloat64(offset, true); offset += 8;
+  const playerCount = view.getUint8(offset++);
+  const entityCount = view.getUint8(offset++);
+  const hitCount = view.getUint8(offset++);
+  const lastProcessedInput = view.getUint32(offset, true); offset += 4;
+  const teamCount = view.getUint8(offset++);
+  const phase = view.getUint8(offset++);
+  const phaseTimeLeft = view.getUint32(offset, true); offset += 4;
+
+  const players: PlayerState[] = [];
+  for (let i = 0; i < playerCount; i++) {
+    const id = view.getUint16(offset, true); offset += 2;
+    const mask = view.getUint16(offset, true); offset += 2;
+    const p: PlayerState = { ...(baseline?.get(id) ?? EMPTY_PLAYER), id, skipped: (mask & PlayerField.SKIPPED) !== 0 };
+
+    if (mask & PlayerField.X) { p.x = position.read(view, offset); offset += position.size; }
+    if (mask & PlayerField.Y) { p.y = position.read(view, offset); offset += position.size; }
+    if (mask & PlayerField.Z) { p.z = position.read(view, offset); offset += position.size; }
+    if (mask & PlayerField.VX) { p.vx = velocity.read(view, offset); offset += velocity.size; }
+    if (mask & PlayerField.VY) { p.vy = velocity.read(view, offset); offset += velocity.size; }
+    if (mask & PlayerField.VZ) { p.vz = velocity.read(view, offset); offset += velocity.size; }
+    if (mask & PlayerField.YAW) { p.yaw = yaw.read(view, offset); offset += yaw.size; }
+    if (mask & PlayerField.PITCH) { p.pitch = pitch.read(view, offset); offset += pitch.size; }
+    if (mask & PlayerField.HEALTH) p.health = view.getUint8(offset++);
+    if (mask & PlayerField.STATUS) {
+      const status = view.getUint8(offset++);
+      p.weapon = status & 7;
+      p.isShooting = (status & 8) !== 0;
+      p.isDead = (status & 16) !== 0;
+      p.weaponLocked = (status & 32) !== 0;
+      p.hidden = (status & 64) !== 0;
+      p.grounded = (status & 128) !== 0;
+    }
+    if (mask & PlayerField.SCORE) { p.score = view.getUint16(offset, true); offset += 2; }
+    if (mask & PlayerField.TEAM) p.team = view.getUint8(offset++);
+    if (mask & PlayerField.STANCE) p.stance = view.getUint8(offset++);
+
+    players.push(p);
+  }
+
+  const entities: WorldEntity[] = [];
+  for (let i = 0; i < entityCount; i++) {
+    entities.push({
+      id: view.getUint16(offset, true),
+      type: view.getUint8(offset + 2),
+      state: view.getUint8(offset + 3),
+      team: view.getUint8(offset + 4),
+      carrierId: view.getUint16(offset + 5, true),
+      x: view.getFloat32(offset + 7, true),
+      y: view.getFloat32(offset + 11, true),
+      z: view.getFloat32(offset + 15, true),
+      radius: view.getFloat32(offset + 19, true),
+      progress: view.getFloat32(offset + 23, true)
+    });
+    offset += ENTITY_SIZE;
+  }
+
+  const hits: HitEvent[] = [];
+  for (let i = 0; i < hitCount; i++) {
+    hits.push({
+      shooterId: view.getUint16(offset, true),
+      targetId: view.getUint16(offset + 2, true),
+      damage: view.getUint8(offset + 4),
+      headshot: view.getUint8(offset + 5) === 1
+    });
+    offset += HIT_EVENT_SIZE;
+  }
+
+  const teamScores: number[] = [];
+  for (let i = 0; i < teamCount; i++) {
+    teamScores.push(view.getUint16(offset, true));
+    offset += TEAM_SCORE_SIZE;
+  }
+
+  return { tick, timestamp, players, entities, hits, lastProcessedInput, teamScores, phase, phaseTimeLeft };
+}
+
+// Player joined (allocates - rare)
+// Format: [type:u8][playerId:u16][team:u8][nameLength:u8][name:string]
+export function encodePlayerJoined(message: PlayerJoinedMessage): ArrayBuffer {
+  const name = encodeString(message.name);
+  const buffer = new ArrayBuffer(5 + name.length);
+  const view = new DataView(buffer);
+
+  view.setUint8(0, ServerMessageType.PLAYER_JOINED);
+  view.setUint16(1, message.id, true);
+  view.setUint8(3, message.team);
+  view.setUint8(4, name.length);
+  new Uint8Array(buffer).set(name, 5);
+
+  return buffer;
+}
+
+export function decodePlayerJoined(buffer: ArrayBuffer): PlayerJoinedMessage {
+  const view = new DataView(buffer);
+  return {
+    id: view.getUint16(1, true),
+    team: view.getUint8(3),
+    name: decodeString(view, 4)
+  };
+}
+
+// Player left
+// Format: [type:u8][playerId:u16]
+export function encodePlayerLeft(playerId: number): ArrayBuffer {
+  const buffer = new ArrayBuffer(3);
+  const view = new DataView(buffer);
+  view.setUint8(0, ServerMessageType.PLAYER_LEFT);
+  view.setUint16(1, playerId, true);
+  return buffer;
+}
+
+export function decodePlayerLeft(buffer: ArrayBuffer): number {
+  return new DataView(buffer).getUint16(1, true);
+}
+
+// Death
+// Format: [type:u8][victimId:u16][killerId:u16][weapon:u8][headshot:u8][reason:u8]
+export function encodeDeath(message: DeathMessage): ArrayBuffer {
+  const buffer = new ArrayBuffer(8);
+  const view = new DataView(buffer);
+  view.setUint8(0, ServerMessageType.DEATH);
+  view.setUint16(1, message.victimId, true);
+  view.setUint16(3, message.killerId, true);
+  view.setUint8(5, message.weapon);
+  view.setUint8(6, message.headshot ? 1 : 0);
+  view.setUint8(7, message.reason);
+  return buffer;
+}
+
+export function decodeDeath(buffer: ArrayBuffer): DeathMessage {
+  const view = new DataView(buffer);
+  return {
+    victimId: view.getUint16(1, true),
+    killerId: view.getUint16(3, true),
+    weapon: view.getUint8(5),
+    headshot: view.getUint8(6) === 1,
+    reason: view.getUint8(7)
+  };
+}
+
+// Respawn
+// Format: [type:u8][playerId:u16][x:f32][y:f32][z:f32]
+export function encodeRespawn(message: RespawnMessage): ArrayBuffer {
+  const buffer = new ArrayBuffer(15);
+  const view = new DataView(buffer);
+  view.setUint8(0, ServerMessageType.RESPAWN);
+  view.setUint16(1, message.playerId, true);
+  view.setFloat32(3, message.x, true);
+  view.setFloat32(7, message.y, true);
+  view.setFloat32(11, message.z, true);
+  return buffer;
+}
+
+export function decodeRespawn(buffer: ArrayBuffer): RespawnMessage {
+  const view = new DataView(buffer);
+  return {
+    playerId: view.getUint16(1, true),
+    x: view.getFloat32(3, true),
+    y: view.getFloat32(7, true),
+    z: view.getFloat32(11, true)
+  };
+}
+
+// Game over (rare - allocates)
+// Format: [type:u8][winnerCount:u8][winnerIds:u16...][teamCount:u8][teamScores:u16...][playerCount:u8][players...]
+// Player: [id:u16][team:u8][score:u16][kills:u16][deaths:u16][nameLength:u8][name:string]
+export function encodeGameOver(message: GameOverMessage): ArrayBuffer {
+  const names = message.players.map(p => encodeString(p.name));
+
+  let size = 1 + 1 + message.winnerIds.length * 2 + 1 + message.teamScores.length * 2 + 1;
+  for (const name of names) {
+    size += 10 + name.length;
+  }
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let offset = 0;
+
+  view.setUint8(offset++, ServerMessageType.GAME_OVER);
+
+  view.setUint8(offset++, message.winnerIds.length);
+  for (const id of message.winnerIds) {
+    view.setUint16(offset, id, true); offset += 2;
+  }
+
+  view.setUint8(offset++, message.teamScores.length);
+  for (const score of message.teamScores) {
+    view.setUint16(offset, score, true); offset += 2;
+  }
+
+  view.setUint8(offset++, message.players.length);
+  message.players.forEach((p, i) => {
+    view.setUint16(offset, p.id, true); offset += 2;
+    view.setUint8(offset++, p.team);
+    view.setUint16(offset, p.score, true); offset += 2;
+    view.setUint16(offset, p.kills, true); offset += 2;
+    view.setUint16(offset, p.deaths, true); offset += 2;
+    view.setUint8(offset++, names[i].length);
+    bytes.set(names[i], offset); offset += names[i].length;
+  });
+
+  return buffer;
+}
+
+export function decodeGameOver(buffer: ArrayBuffer): GameOverMessage {
+  const view = new DataView(buffer);
+  let offset = 1;
+
+  const winnerIds: number[] = [];
+  const winnerCount = view.getUint8(offset++);
+  for (let i = 0; i < winnerCount; i++) {
+    winnerIds.push(view.getUint16(offset, true)); offset += 2;
+  }
+
+  const teamScores: number[] = [];
+  const teamCount = view.getUint8(offset++);
+  for (let i = 0; i < teamCount; i++) {
+    teamScores.push(view.getUint16(offset, true)); offset += 2;
+  }
+
+  const players: PlayerStats[] = [];
+  const playerCount = view.getUint8(offset++);
+  for (let i = 0; i < playerCount; i++) {
+    const id = view.getUint16(offset, true);
+    const team = view.getUint8(offset + 2);
+    const score = view.getUint16(offset + 3, true);
+    const kills = view.getUint16(offset + 5, true);
+    const deaths = view.getUint16(offset + 7, true);
+    const name = decodeString(view, offset + 9);
+    offset += 10 + view.getUint8(offset + 9);
+    players.push({ id, name, team, score, kills, deaths });
+  }
+
+  return { winnerIds, teamScores, players };
+}
@@ -0,0 +1,61 @@
+// ============================================
+// QUANTIZATION - FIXED-POINT NETWORK VALUES
+// ============================================
+
+import { GAME_CONSTANTS } from './types.js';
+
+const HALF_MAP = GAME_CONSTANTS.MAP_SIZE / 2;
+const HALF_PI = Math.PI / 2;
+
+const POSITION_STEP = GAME_CONSTANTS.MAP_SIZE / 0xffff; // u16 across the map (~0.76mm)
+const VELOCITY_STEP = 1 / 256;                          // i16, +-128 units/s
+const YAW_STEP = (Math.PI * 2) / 0x10000;               // u16 over a full turn (wraps)
+const PITCH_STEP = Math.PI / 0xffff;                    // u16 over [-PI/2, PI/2]
+
+// Worst-case round-trip error (half a step) for values inside their range
+export const QUANTIZATION_ERROR = {
+  POSITION: POSITION_STEP / 2,
+  VELOCITY: VELOCITY_STEP / 2,
+  ANGLE: Math.max(YAW_STEP, PITCH_STEP) / 2  // Yaw error is modulo a full turn
+} as const;
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.max(min, Math.min(max, value));
+}
+
+// Position on any axis, clamped to +-MAP_SIZE / 2 -> u16
+export function quantizePosition(value: number): number {
+  return Math.round((clamp(value, -HALF_MAP, HALF_MAP) + HALF_MAP) / POSITION_STEP);
+}
+
+export function dequantizePosition(q: number): number {
+  return q * POSITION_STEP - HALF_MAP;
+}
+
+// Velocity component -> i16
+export function quantizeVelocity(value: number): number {
+  return clamp(Math.round(value / VELOCITY_STEP), -0x8000, 0x7fff);
+}
+
+export function dequantizeVelocity(q: number): number {
+  return q * VELOCITY_STEP;
+}
+
+// Yaw in radians (any range) -> u16, decodes to [0, 2PI)
+export function quantizeYaw(value: number): number {
+  const q = Math.round(value / YAW_STEP) % 0x10000;
+  return q < 0 ? q + 0x10000 : q;
+}
+
+export function dequantizeYaw(q: number): number {
+  return q * YAW_STEP;
+}
+
+// Pitch in radians, clamped to +-PI/2 -> u16
+export function quantizePitch(value: number): number {
+  return Math.round((clamp(value, -HALF_PI, HALF_PI) + HALF_PI) / PITCH_STEP);
+}
+
+export function dequantizePitch(q: number): number {
+  return q * PITCH_STEP - HALF_PI;
+}
@@ -0,0 +1,67 @@
+// ============================================
+// WEAPON SPREAD - SEEDED BULLET DIRECTIONS
+// ============================================
+// A shot's spread comes from the shooter's spread seed (sent in WELCOME) and the
+// seq of the input that fired it, so the server's hit detection and the shooter's
+// tracers use the same directions, and any shot can be replayed from its input
+
+import { GAME_CONSTANTS, type Vec3 } from './types.js';
+
+// Unit look vector (Forward = +Z, positive pitch looks down - matches the client camera)
+export function getLookDirection(yaw: number, pitch: number): Vec3 {
+  return {
+    x: Math.sin(yaw) * Math.cos(pitch),
+    y: -Math.sin(pitch),
+    z: Math.cos(yaw) * Math.cos(pitch)
+  };
+}
+
+// Random numbers in [0, 1) for one shot (mulberry32, integer math only so every engine agrees)
+function createShotRandom(seed: number, seq: number): () => number {
+  let state = Math.imul(seed ^ Math.imul(seq, 0x9e3779b9), 0x85ebca6b) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+// Inputs a weapon needs between shots - inputs come one per tick, so seq counts time
+// the same way on both sides (wall clocks don't: the server plays inputs out on its own schedule)
+export function getFireInterval(weaponIndex: number): number {
+  return Math.ceil(GAME_CONSTANTS.WEAPONS[weaponIndex].fireRate * GAME_CONSTANTS.TICK_RATE / 1000);
+}
+
+// Whether the input with this seq fires, given the seq of the last one that did (0 = none yet)
+export function canFireAt(seq: number, lastShotSeq: number, weaponIndex: number): boolean {
+  return lastShotSeq === 0 || seq - lastShotSeq >= getFireInterval(weaponIndex);
+}
+
+// Direction of every bullet (or pellet) a shot fires, unit length
+export function getShotDirections(yaw: number, pitch: number, weaponIndex: number, spreadSeed: number, seq: number): Vec3[] {
+  const weapon = GAME_CONSTANTS.WEAPONS[weaponIndex];
+  const random = createShotRandom(spreadSeed, seq);
+  const directions: Vec3[] = [];
+
+  for (let i = 0; i < weapon.bulletCount; i++) {
+    const direction = getLookDirection(yaw, pitch);
+
+    if (weapon.spread > 0) {
+      direction.x += (random() - 0.5) * weapon.spread;
+      direction.y += (random() - 0.5) * weapon.spread;
+      direction.z += (random() - 0.5) * weapon.spread;
+
+      // Renormalize
+      const len = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+      direction.x /= len;
+      direction.y /= len;
+      direction.z /= len;
+    }
+
+    directions.push(direction);
+  }
+
+  return directions;
+}
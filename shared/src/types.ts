@@ -39,9 +39,15 @@ export interface PlayerState {
   pitch: number;
   health: number;
   weapon: number;
+  weaponLocked: boolean; // Weapon is forced by the game mode
   isShooting: boolean;
   isDead: boolean;
+  grounded: boolean;     // Standing on the floor, an obstacle or a ramp
+  stance: number;        // Stance.* (crouching lowers the eyes and the hitboxes)
   score: number;
+  team: number;          // Team id (Team.NONE outside team modes)
+  hidden?: boolean;      // Snapshots only: out of the viewer's sight, position is stale
+  skipped?: boolean;     // Decoded snapshots only: repeats an older state, don't sample it
 }
 
 // Projectile/hit event
@@ -52,13 +58,31 @@ export interface HitEvent {
   headshot: boolean;
 }
 
+// Game-mode object in the world (flags, zones, ...)
+export interface WorldEntity {
+  id: number;
+  type: number;          // EntityType
+  state: number;         // Type-specific state (e.g. FlagState)
+  team: number;          // Owning team (Team.NONE if unowned)
+  carrierId: number;     // Player carrying/holding the entity (0 = none)
+  x: number;
+  y: number;
+  z: number;
+  radius: number;        // Touch/trigger radius
+  progress: number;      // Type-specific progress 0-1 (e.g. zone capture)
+}
+
 // World snapshot sent from server to clients
 export interface WorldSnapshot {
   tick: number;
   timestamp: number;
   players: PlayerState[];
+  entities: WorldEntity[];
   hits: HitEvent[];
   lastProcessedInput: number;  // For client reconciliation
+  teamScores: number[];        // Indexed by team id - 1 (empty outside team modes)
+  phase: number;               // MatchPhase
+  phaseTimeLeft: number;       // ms until the phase ends (0 = no timer)
 }
 
 // Server -> Client message types
@@ -69,28 +93,119 @@ export const ServerMessageType = {
   PLAYER_LEFT: 4,
   DEATH: 5,
   RESPAWN: 6,
-  GAME_OVER: 7
+  GAME_OVER: 7,
+  MAP_CHANGE: 8,
+  PONG: 9,
+  REJECT: 10
 } as const;
 
 // Client -> Server message types
 export const ClientMessageType = {
   JOIN: 1,
   INPUT: 2,
-  PING: 3
+  PING: 3,
+  SNAPSHOT_ACK: 4
 } as const;
 
 // Join request from client
 export interface JoinRequest {
   name: string;
+  roomId: string;        // Preferred room ('' = any)
+  protocolVersion: number; // 0 = client from before versioning
+  features: number;      // ProtocolFeature bits the client supports
+  sessionToken: string;  // From an earlier WELCOME, to resume that player ('' = new player)
+}
+
+// Rules a room runs with
+export interface RoomSettings {
+  mode: string;          // Game mode id ('ffa', 'tdm', 'ctf', 'koth', 'koth_ffa', 'gungame', 'elim')
+  mapSeed: number;
+  scoreLimit: number;    // 0 = mode default
+  timeLimit: number;     // ms, 0 = no limit
+  maxPlayers: number;
+  friendlyFire: number;  // Damage scale between teammates (0 = off, 1 = full)
+  respawnDelay: number;  // ms
+}
+
+// Which room a player is in and what it is running
+export interface RoomInfo {
+  roomId: string;
+  modeName: string;
+  settings: RoomSettings;
 }
 
 // Welcome message from server
-export interface WelcomeMessage {
+export interface WelcomeMessage extends RoomInfo {
   playerId: number;
   tickRate: number;
-  mapSeed: number;
+  protocolVersion: number;
+  features: number;      // ProtocolFeature bits enabled for this connection
+  sessionToken: string;  // Send back in JOIN to get this player back after a dropped connection
+  spreadSeed: number;    // u32 - with an input's seq, decides where that shot's bullets go (see spread.ts)
+}
+
+// Server turned the client away (sent right before closing the socket)
+export interface RejectMessage {
+  reason: number;        // RejectReason
+  message: string;       // Human readable, shown in the lobby
+}
+
+// Ping reply with the server's clock on either side of it (NTP-style clock sync)
+export interface PongMessage {
+  clientTime: number;        // The PING's send time, echoed back
+  serverReceiveTime: number; // Server time the PING arrived
+  serverSendTime: number;    // Server time the PONG left
+}
+
+// A player entered the room (also sent for everyone already there when you join)
+export interface PlayerJoinedMessage {
+  id: number;
+  name: string;
+  team: number;
+}
+
+// A player died
+export interface DeathMessage {
+  victimId: number;
+  killerId: number;      // 0 = no killer (zone, fall, ...)
+  weapon: number;        // Killer's weapon index (0 without a killer)
+  headshot: boolean;
+  reason: number;        // DeathReason
+}
+
+// A player came back to life
+export interface RespawnMessage {
+  playerId: number;
+  x: number;
+  y: number;
+  z: number;
 }
 
+// End-of-match stats for one player
+export interface PlayerStats {
+  id: number;
+  name: string;
+  team: number;
+  score: number;
+  kills: number;
+  deaths: number;
+}
+
+// Sent to every player when a match ends
+export interface GameOverMessage {
+  winnerIds: number[];
+  teamScores: number[];
+  players: PlayerStats[];
+}
+
+// Match lifecycle phases
+export const MatchPhase = {
+  WARMUP: 0,       // Waiting for enough players, free play
+  COUNTDOWN: 1,    // Match about to start, no shooting
+  LIVE: 2,         // Match in progress
+  POST_MATCH: 3    // Results screen before the next match
+} as const;
+
 // Game constants shared between client and server
 export const GAME_CONSTANTS = {
   TICK_RATE: 60,                    // Server ticks per second
@@ -101,7 +216,11 @@ export const GAME_CONSTANTS = {
   GRAVITY: 20.0,
   PLAYER_HEIGHT: 1.8,
   PLAYER_RADIUS: 0.4,
+  STEP_HEIGHT: 0.5,                 // Ledges this high are walked up without jumping
   HEAD_HEIGHT: 0.3,                 // Head hitbox size
+  EYE_HEIGHT: 1.6,                  // Camera and shot origin above the feet
+  CROUCH_HEIGHT: 1.3,               // Top of the head while crouching (the collision box stays PLAYER_HEIGHT)
+  CROUCH_EYE_HEIGHT: 1.1,
   MAX_HEALTH: 100,
   RESPAWN_TIME: 2000,               // 2 seconds in ms
   INTERPOLATION_BUFFER: 100,        // ms of interpolation delay
@@ -148,12 +267,81 @@ export const GAME_CONSTANTS = {
 
   // Map generation
   MAP_SIZE: 50,
-  OBSTACLE_COUNT: 40
+  OBSTACLE_COUNT: 40,
+  RAMP_COUNT: 8,                    // Ramps up onto the lower obstacles
+  RAMP_MAX_HEIGHT: 4,
+  RAMP_SLOPE: 0.5                   // Rise per unit of length
+} as const;
+
+// Obstacle shape: a box, or a ramp whose top rises toward a compass direction (north = +Z, east = +X)
+export const RampDirection = {
+  NONE: 0,
+  NORTH: 1,
+  SOUTH: 2,
+  EAST: 3,
+  WEST: 4
+} as const;
+
+// Player stance (sneaking crouches)
+export const Stance = {
+  STANDING: 0,
+  CROUCHING: 1
+} as const;
+
+// Team ids
+export const Team = {
+  NONE: 0,
+  RED: 1,
+  BLUE: 2
+} as const;
+
+// World entity types
+export const EntityType = {
+  FLAG: 1,
+  ZONE: 2,
+  SAFE_ZONE: 3
+} as const;
+
+// Flag states (Capture the Flag)
+export const FlagState = {
+  AT_BASE: 0,
+  CARRIED: 1,
+  DROPPED: 2
+} as const;
+
+// Capture zone states (King of the Hill)
+export const ZoneState = {
+  NEUTRAL: 0,
+  CAPTURING: 1,
+  HELD: 2,
+  CONTESTED: 3
+} as const;
+
+// Wire format version - bump on any incompatible protocol change
+export const PROTOCOL_VERSION = 7;
+
+// Inputs per INPUT packet: the newest plus up to this many - 1 unacknowledged ones (survives lost packets)
+export const INPUT_REDUNDANCY = 5;
+
+// Optional protocol features, only enabled when both sides advertise them
+export const ProtocolFeature = {
+  DELTA_SNAPSHOTS: 1 << 0,   // Player states sent as changes against an acked snapshot
+  COMPACT_ENCODING: 1 << 1   // Quantized player fields instead of f32
+} as const;
+
+export const SUPPORTED_FEATURES = ProtocolFeature.DELTA_SNAPSHOTS | ProtocolFeature.COMPACT_ENCODING;
+
+// Why the server refused a JOIN (or dropped the client)
+export const RejectReason = {
+  VERSION_MISMATCH: 1,
+  ROOM_FULL: 2,
+  KICKED: 3     // Not a join refusal: too many invalid messages
 } as const;
 
 // Death reasons
 export const DeathReason = {
   KILLED: 1,
   SUICIDE: 2,
-  FELL: 3
+  FELL: 3,
+  ZONE: 4     // Caught outside the safe zone (Elimination)
 } as const;
@@ -0,0 +1,344 @@
+// ============================================
+// PROTOCOL - ENCODE/DECODE ROUND TRIPS
+// ============================================
+// Client and server both go through shared/src/protocol.ts, so each message is checked
+// to decode to what was encoded and to re-encode to the same bytes
+
+import { describe, expect, it } from 'vitest';
+import {
+  ClientMessageType,
+  DeathReason,
+  EntityType,
+  FlagState,
+  INPUT_REDUNDANCY,
+  MatchPhase,
+  PROTOCOL_VERSION,
+  QUANTIZATION_ERROR,
+  RejectReason,
+  ServerMessageType,
+  Stance,
+  SUPPORTED_FEATURES,
+  decodeDeath,
+  decodeGameOver,
+  decodeInputs,
+  decodeJoinRequest,
+  decodeMapChange,
+  decodePing,
+  decodePlayerJoined,
+  decodePlayerLeft,
+  decodePong,
+  decodeReject,
+  decodeRespawn,
+  decodeSnapshot,
+  decodeSnapshotAck,
+  decodeWelcome,
+  encodeDeath,
+  encodeGameOver,
+  encodeInputs,
+  encodeJoinRequest,
+  encodeMapChange,
+  encodePing,
+  encodePlayerJoined,
+  encodePlayerLeft,
+  encodePong,
+  encodeReject,
+  encodeRespawn,
+  encodeSnapshot,
+  encodeSnapshotAck,
+  encodeWelcome,
+  getMessageType,
+  getSnapshotBaselineTick,
+  type InputData,
+  type PlayerState,
+  type RoomInfo,
+  type WorldEntity
+} from '@shooter/shared';
+
+function bytes(buffer: ArrayBuffer): Uint8Array {
+  return new Uint8Array(buffer);
+}
+
+const ROOM: RoomInfo = {
+  roomId: 'room_7',
+  modeName: 'Capture the Flag',
+  settings: {
+    mode: 'ctf',
+    mapSeed: 0xdeadbeef,
+    scoreLimit: 3,
+    timeLimit: 600000,
+    maxPlayers: 16,
+    friendlyFire: 0.25,
+    respawnDelay: 2500
+  }
+};
+
+const TOKEN = '00112233445566778899aabbccddeeff';
+
+function makeInput(seq: number): InputData {
+  return {
+    seq,
+    forward: seq % 2 === 0,
+    backward: seq % 3 === 0,
+    left: seq % 5 === 0,
+    right: seq % 7 === 0,
+    jump: seq % 11 === 0,
+    sprint: seq % 13 === 0,
+    sneak: seq % 17 === 0,
+    shoot: seq % 19 === 0,
+    weapon: seq % 4,
+    yaw: Math.fround(seq * 0.37),
+    pitch: Math.fround(-0.4 + seq * 0.01),
+    timestamp: 1700000000000 + seq * 16.666
+  };
+}
+
+function makePlayer(id: number, overrides: Partial<PlayerState> = {}): PlayerState {
+  return {
+    id,
+    x: -12.3456 + id,
+    y: 1.25,
+    z: 20.5 - id,
+    vx: 4.2,
+    vy: -7.5,
+    vz: -1.1,
+    yaw: 5.9,
+    pitch: -0.3,
+    health: 73,
+    weapon: id % 4,
+    weaponLocked: id % 2 === 0,
+    isShooting: true,
+    isDead: false,
+    grounded: id % 3 === 0,
+    hidden: false,
+    score: 12 + id,
+    team: id % 3,
+    stance: id % 2 === 0 ? Stance.CROUCHING : Stance.STANDING,
+    ...overrides
+  };
+}
+
+const ENTITIES: WorldEntity[] = [
+  { id: 1, type: EntityType.FLAG, state: FlagState.CARRIED, team: 1, carrierId: 3, x: 10.5, y: 1, z: -20.25, radius: 1.5, progress: 0 },
+  { id: 2, type: EntityType.ZONE, state: 2, team: 2, carrierId: 0, x: 0, y: 0, z: 0, radius: 6, progress: 0.75 }
+];
+
+describe('client -> server', () => {
+  it('round-trips JOIN', () => {
+    const request = { name: 'Zoë', roomId: 'room_2', protocolVersion: PROTOCOL_VERSION, features: SUPPORTED_FEATURES, sessionToken: TOKEN };
+    const buffer = encodeJoinRequest(request);
+
+    expect(getMessageType(buffer)).toBe(ClientMessageType.JOIN);
+    expect(decodeJoinRequest(buffer)).toEqual(request);
+    expect(bytes(encodeJoinRequest(decodeJoinRequest(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('decodes a JOIN without a session token as a new player', () => {
+    const request = { name: 'new', roomId: '', protocolVersion: PROTOCOL_VERSION, features: 0, sessionToken: '' };
+    expect(decodeJoinRequest(encodeJoinRequest(request))).toEqual(request);
+  });
+
+  it('round-trips INPUT, keeping only the newest INPUT_REDUNDANCY inputs', () => {
+    const inputs = Array.from({ length: INPUT_REDUNDANCY + 3 }, (_, i) => makeInput(i + 1));
+    const buffer = encodeInputs(inputs);
+    const decoded = decodeInputs(buffer);
+
+    expect(getMessageType(buffer)).toBe(ClientMessageType.INPUT);
+    expect(decoded).toEqual(inputs.slice(-INPUT_REDUNDANCY));
+    expect(bytes(encodeInputs(decoded))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips PING', () => {
+    const buffer = encodePing(1700000000123.5);
+    expect(getMessageType(buffer)).toBe(ClientMessageType.PING);
+    expect(decodePing(buffer)).toBe(1700000000123.5);
+    expect(bytes(encodePing(decodePing(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips SNAPSHOT_ACK', () => {
+    const buffer = encodeSnapshotAck(0xfffffffe).slice(0);
+    expect(getMessageType(buffer)).toBe(ClientMessageType.SNAPSHOT_ACK);
+    expect(decodeSnapshotAck(buffer)).toBe(0xfffffffe);
+    expect(bytes(encodeSnapshotAck(decodeSnapshotAck(buffer)))).toEqual(bytes(buffer));
+  });
+});
+
+describe('strings', () => {
+  it.each([
+    ['ascii', 'a'.repeat(300)],
+    ['2-byte', 'é'.repeat(200)],
+    ['3-byte', '€'.repeat(120)],
+    ['4-byte', '😀'.repeat(80)]
+  ])('cuts long %s text to 255 bytes without splitting a character', (_, text) => {
+    const { name } = decodeJoinRequest(encodeJoinRequest({ name: text, roomId: '', protocolVersion: PROTOCOL_VERSION, features: 0, sessionToken: '' }));
+
+    expect(name).not.toContain('\uFFFD');
+    expect(text.startsWith(name)).toBe(true);
+    expect(new TextEncoder().encode(name).length).toBeGreaterThan(255 - 4);
+    expect(new TextEncoder().encode(name).length).toBeLessThanOrEqual(255);
+  });
+});
+
+describe('server -> client', () => {
+  it('round-trips WELCOME', () => {
+    const message = {
+      ...ROOM,
+      playerId: 513,
+      tickRate: 60,
+      protocolVersion: PROTOCOL_VERSION,
+      features: SUPPORTED_FEATURES,
+      sessionToken: TOKEN,
+      spreadSeed: 0x89abcdef
+    };
+    const buffer = encodeWelcome(message);
+
+    expect(getMessageType(buffer)).toBe(ServerMessageType.WELCOME);
+    expect(decodeWelcome(buffer)).toEqual(message);
+    expect(bytes(encodeWelcome(decodeWelcome(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips MAP_CHANGE', () => {
+    const buffer = encodeMapChange(ROOM);
+    expect(getMessageType(buffer)).toBe(ServerMessageType.MAP_CHANGE);
+    expect(decodeMapChange(buffer)).toEqual(ROOM);
+    expect(bytes(encodeMapChange(decodeMapChange(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips PONG', () => {
+    const message = { clientTime: 1000.5, serverReceiveTime: 1700000000000.25, serverSendTime: 1700000000001.75 };
+    const buffer = encodePong(message);
+    expect(getMessageType(buffer)).toBe(ServerMessageType.PONG);
+    expect(decodePong(buffer)).toEqual(message);
+    expect(bytes(encodePong(decodePong(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips REJECT', () => {
+    const message = { reason: RejectReason.ROOM_FULL, message: 'Room room_1 is full' };
+    const buffer = encodeReject(message);
+    expect(getMessageType(buffer)).toBe(ServerMessageType.REJECT);
+    expect(decodeReject(buffer)).toEqual(message);
+    expect(bytes(encodeReject(decodeReject(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips PLAYER_JOINED', () => {
+    const message = { id: 42, name: 'Player 42', team: 2 };
+    const buffer = encodePlayerJoined(message);
+    expect(getMessageType(buffer)).toBe(ServerMessageType.PLAYER_JOINED);
+    expect(decodePlayerJoined(buffer)).toEqual(message);
+    expect(bytes(encodePlayerJoined(decodePlayerJoined(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips PLAYER_LEFT', () => {
+    const buffer = encodePlayerLeft(65535);
+    expect(getMessageType(buffer)).toBe(ServerMessageType.PLAYER_LEFT);
+    expect(decodePlayerLeft(buffer)).toBe(65535);
+    expect(bytes(encodePlayerLeft(decodePlayerLeft(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips DEATH', () => {
+    const message = { victimId: 4, killerId: 9, weapon: 3, headshot: true, reason: DeathReason.KILLED };
+    const buffer = encodeDeath(message);
+    expect(getMessageType(buffer)).toBe(ServerMessageType.DEATH);
+    expect(decodeDeath(buffer)).toEqual(message);
+    expect(bytes(encodeDeath(decodeDeath(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips RESPAWN', () => {
+    const message = { playerId: 7, x: Math.fround(-23.4), y: 5, z: Math.fround(11.1) };
+    const buffer = encodeRespawn(message);
+    expect(getMessageType(buffer)).toBe(ServerMessageType.RESPAWN);
+    expect(decodeRespawn(buffer)).toEqual(message);
+    expect(bytes(encodeRespawn(decodeRespawn(buffer)))).toEqual(bytes(buffer));
+  });
+
+  it('round-trips GAME_OVER', () => {
+    const message = {
+      winnerIds: [3, 5],
+      teamScores: [3, 1],
+      players: [
+        { id: 3, name: 'alpha', team: 1, score: 14, kills: 12, deaths: 4 },
+        { id: 5, name: 'bravo', team: 1, score: 9, kills: 8, deaths: 7 },
+        { id: 8, name: 'charlie', team: 2, score: 2, kills: 2, deaths: 11 }
+      ]
+    };
+    const buffer = encodeGameOver(message);
+    expect(getMessageType(buffer)).toBe(ServerMessageType.GAME_OVER);
+    expect(decodeGameOver(buffer)).toEqual(message);
+    expect(bytes(encodeGameOver(decodeGameOver(buffer)))).toEqual(bytes(buffer));
+  });
+});
+
+describe.each([
+  { encoding: 'compact', compact: true },
+  { encoding: 'full', compact: false }
+])('SNAPSHOT ($encoding encoding)', ({ compact }) => {
+  const players = [makePlayer(1), makePlayer(2), makePlayer(3, { isDead: true, health: 0, hidden: true })];
+  const hits = [{ shooterId: 1, targetId: 2, damage: 30, headshot: true }, { shooterId: 3, targetId: 1, damage: 11, headshot: false }];
+  const teamScores = [2, 1];
+
+  function encode(states: PlayerState[], tick: number, baseline: Map<number, PlayerState> | null = null, skipped: Set<number> | null = null) {
+    return encodeSnapshot(tick, 1700000000000 + tick, states, ENTITIES, hits, 99, teamScores,
+      MatchPhase.LIVE, 45000, baseline ? tick - 1 : 0, baseline, skipped, compact);
+  }
+
+  function byId(states: PlayerState[]): Map<number, PlayerState> {
+    return new Map(states.map((p) => [p.id, p]));
+  }
+
+  it('decodes every field of a full snapshot', () => {
+    const buffer = encode(players, 120);
+    const snapshot = decodeSnapshot(buffer, null, compact);
+
+    expect(getMessageType(buffer)).toBe(ServerMessageType.SNAPSHOT);
+    expect(getSnapshotBaselineTick(buffer)).toBe(0);
+    expect(snapshot).toMatchObject({ tick: 120, timestamp: 1700000000120, lastProcessedInput: 99, teamScores, phase: MatchPhase.LIVE, phaseTimeLeft: 45000, hits });
+
+    const tolerance = compact
+      ? { position: QUANTIZATION_ERROR.POSITION, velocity: QUANTIZATION_ERROR.VELOCITY, angle: QUANTIZATION_ERROR.ANGLE }
+      : { position: 1e-5, velocity: 1e-5, angle: 1e-6 };
+
+    snapshot.players.forEach((p, i) => {
+      const sent = players[i];
+      const { x, y, z, vx, vy, vz, yaw, pitch, ...exact } = sent;
+      expect(p).toMatchObject({ ...exact, skipped: false });
+      for (const [key, bound] of [['x', 'position'], ['y', 'position'], ['z', 'position'], ['vx', 'velocity'], ['vy', 'velocity'], ['vz', 'velocity'], ['pitch', 'angle']] as const) {
+        expect(Math.abs(p[key] - sent[key])).toBeLessThanOrEqual(tolerance[bound] + 1e-9);
+      }
+      const yawError = Math.abs(Math.atan2(Math.sin(p.yaw - yaw), Math.cos(p.yaw - yaw)));
+      expect(yawError).toBeLessThanOrEqual(tolerance.angle + 1e-9);
+    });
+
+    snapshot.entities.forEach((e, i) => {
+      expect(e).toEqual({ ...ENTITIES[i], x: Math.fround(ENTITIES[i].x), z: Math.fround(ENTITIES[i].z), progress: Math.fround(ENTITIES[i].progress) });
+    });
+  });
+
+  it('re-encodes a decoded snapshot to the same bytes', () => {
+    const buffer = encode(players, 120);
+    const snapshot = decodeSnapshot(buffer, null, compact);
+    expect(bytes(encode(snapshot.players, 120))).toEqual(bytes(buffer));
+  });
+
+  it('sends only changed fields against a baseline and rebuilds the same states', () => {
+    const baseBuffer = encode(players, 120);
+    const baseline = byId(decodeSnapshot(baseBuffer, null, compact).players);
+
+    // Player 1 moved and crouched, player 2 only scored, player 3 is unchanged
+    const next = [
+      makePlayer(1, { x: players[0].x + 0.5, stance: Stance.CROUCHING }),
+      makePlayer(2, { score: players[1].score + 1 }),
+      players[2]
+    ];
+    const delta = encode(next, 121, byId(players));
+    const full = encode(next, 121);
+
+    expect(getSnapshotBaselineTick(delta)).toBe(120);
+    expect(delta.byteLength).toBeLessThan(full.byteLength);
+    expect(decodeSnapshot(delta, baseline, compact).players).toEqual(decodeSnapshot(full, null, compact).players);
+  });
+
+  it('marks skipped players', () => {
+    const buffer = encode(players, 121, byId(players), new Set([2]));
+    const decoded = decodeSnapshot(buffer, byId(decodeSnapshot(encode(players, 120), null, compact).players), compact);
+    expect(decoded.players.map((p) => p.skipped)).toEqual([false, true, false]);
+  });
+});
@@ -0,0 +1,92 @@
+// ============================================
+// QUANTIZATION - ROUND-TRIP ERROR BOUNDS
+// ============================================
+
+import { describe, expect, it } from 'vitest';
+import {
+  GAME_CONSTANTS,
+  QUANTIZATION_ERROR,
+  dequantizePitch,
+  dequantizePosition,
+  dequantizeVelocity,
+  dequantizeYaw,
+  quantizePitch,
+  quantizePosition,
+  quantizeVelocity,
+  quantizeYaw
+} from '@shooter/shared';
+
+const SAMPLES = 20000;
+const EPSILON = 1e-12; // Float rounding on top of the half step
+
+// Evenly spread values plus the range ends
+function sample(min: number, max: number): number[] {
+  const values = [min, max, (min + max) / 2];
+  for (let i = 0; i < SAMPLES; i++) {
+    values.push(min + (max - min) * (i + 0.5) / SAMPLES);
+  }
+  return values;
+}
+
+// Smallest difference between two angles, modulo a full turn
+function angleDifference(a: number, b: number): number {
+  return Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+}
+
+// Largest round-trip error over the samples, failing on any code outside [min, max]
+function worstError(
+  values: number[],
+  quantize: (v: number) => number,
+  dequantize: (q: number) => number,
+  codeRange: [number, number],
+  difference: (a: number, b: number) => number = (a, b) => Math.abs(a - b)
+): number {
+  let worst = 0;
+  for (const value of values) {
+    const q = quantize(value);
+    if (!Number.isInteger(q) || q < codeRange[0] || q > codeRange[1]) {
+      throw new Error(`${value} quantized to ${q}, outside ${codeRange}`);
+    }
+    worst = Math.max(worst, difference(dequantize(q), value));
+  }
+  return worst;
+}
+
+describe('quantization', () => {
+  it('keeps positions across the map within QUANTIZATION_ERROR.POSITION', () => {
+    const half = GAME_CONSTANTS.MAP_SIZE / 2;
+    const worst = worstError(sample(-half, half), quantizePosition, dequantizePosition, [0, 0xffff]);
+    expect(worst).toBeLessThanOrEqual(QUANTIZATION_ERROR.POSITION + EPSILON);
+  });
+
+  it('clamps positions outside the map to its edge', () => {
+    const half = GAME_CONSTANTS.MAP_SIZE / 2;
+    expect(dequantizePosition(quantizePosition(half + 10))).toBeCloseTo(half, 9);
+    expect(dequantizePosition(quantizePosition(-half - 10))).toBeCloseTo(-half, 9);
+  });
+
+  it('keeps velocities within QUANTIZATION_ERROR.VELOCITY', () => {
+    const worst = worstError(sample(-128, 127.99), quantizeVelocity, dequantizeVelocity, [-0x8000, 0x7fff]);
+    expect(worst).toBeLessThanOrEqual(QUANTIZATION_ERROR.VELOCITY + EPSILON);
+  });
+
+  it('keeps yaw within QUANTIZATION_ERROR.ANGLE for any number of turns', () => {
+    const worst = worstError(sample(-4 * Math.PI, 4 * Math.PI), quantizeYaw, dequantizeYaw, [0, 0xffff], angleDifference);
+    expect(worst).toBeLessThanOrEqual(QUANTIZATION_ERROR.ANGLE + EPSILON);
+    expect(dequantizeYaw(0xffff)).toBeLessThan(2 * Math.PI);
+  });
+
+  it('keeps pitch within QUANTIZATION_ERROR.ANGLE', () => {
+    const worst = worstError(sample(-Math.PI / 2, Math.PI / 2), quantizePitch, dequantizePitch, [0, 0xffff]);
+    expect(worst).toBeLessThanOrEqual(QUANTIZATION_ERROR.ANGLE + EPSILON);
+  });
+
+  it('decodes every code back to itself', () => {
+    for (let q = 0; q <= 0xffff; q += 97) {
+      expect(quantizePosition(dequantizePosition(q))).toBe(q);
+      expect(quantizeYaw(dequantizeYaw(q))).toBe(q);
+      expect(quantizePitch(dequantizePitch(q))).toBe(q);
+      expect(quantizeVelocity(dequantizeVelocity(q - 0x8000))).toBe(q - 0x8000);
+    }
+  });
+});
@@ -0,0 +1,14 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+// Tests run against the shared sources, no build needed
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@shooter/shared': fileURLToPath(new URL('./shared/src/index.ts', import.meta.url))
+    }
+  },
+  test: {
+    include: ['{shared,server,client}/test/**/*.test.{ts,js}']
+  }
+});